@@ -0,0 +1,240 @@
+/**
+ * Web Annotation and IIIF metadata beyond a line's text and rectangle.
+ * Reads motivation, body language and format, tags, comments, SVG selectors and the target canvas
+ * from Presentation 2 (`on`, `resource`) and Presentation 3 (`target`, `body`) annotations, and
+ * lists which of them changed between two versions.
+ *
+ * @module history-annotation
+ * @author Research Computing Group
+ * @license MIT
+ */
+
+import { translate } from './history-i18n.js'
+
+/**
+ * Tracked fields, in display order, with the message key of each field's label
+ */
+export const METADATA_FIELDS = Object.freeze([
+    { field: 'motivation', label: 'motivation' },
+    { field: 'language', label: 'language' },
+    { field: 'format', label: 'format' },
+    { field: 'tags', label: 'tags' },
+    { field: 'comments', label: 'comments' },
+    { field: 'selectorTypes', label: 'selector' },
+    { field: 'polygon', label: 'polygon' },
+    { field: 'canvas', label: 'canvas' }
+])
+
+/**
+ * @typedef {Object} AnnotationMetadata
+ * @property {Array<String>} motivation - Motivations, without an `oa:` prefix
+ * @property {String|null} language - Language of the transcription body
+ * @property {String|null} format - Media type of the transcription body
+ * @property {Array<String>} tags - Values of bodies with the tagging purpose
+ * @property {Array<String>} comments - Values of bodies with the commenting purpose
+ * @property {Array<String>} selectorTypes - Types of the target's selectors
+ * @property {Array<Array<Number>>|null} polygon - Points of an SVG polygon selector
+ * @property {String|null} canvas - The canvas the annotation targets
+ */
+
+/**
+ * Drop a namespace prefix such as `oa:` or `dctypes:`
+ * @param {String} value - A type, motivation or purpose
+ * @returns {String} The local name
+ */
+export function localName(value) {
+    return String(value).replace(/^[a-z]+:/i, '')
+}
+
+/**
+ * The bodies of an annotation, with plain strings wrapped as { value }
+ * @param {Object} annotation - The annotation
+ * @returns {Array<Object>} Body objects
+ */
+export function annotationBodies(annotation) {
+    return [annotation?.body ?? annotation?.resource]
+        .flat()
+        .filter(Boolean)
+        .map(body => (typeof body === 'string' ? { value: body } : body))
+}
+
+/**
+ * The text of a body
+ * @param {Object} body - The body
+ * @returns {String|null} Its value
+ */
+export function bodyValue(body) {
+    return body?.value ?? body?.['cnt:chars'] ?? body?.chars ?? null
+}
+
+/**
+ * The purposes of a body, without prefixes
+ * @param {Object} body - The body
+ * @returns {Array<String>} Purposes
+ */
+function purposesOf(body) {
+    return [body.purpose].flat().filter(Boolean).map(localName)
+}
+
+/**
+ * The body holding the transcription: the first with a value that is not a tag or comment
+ * @param {Object} annotation - The annotation
+ * @returns {Object|null} The body
+ */
+export function transcriptionBody(annotation) {
+    return annotationBodies(annotation).find(body =>
+        bodyValue(body) !== null && !purposesOf(body).some(purpose => ['tagging', 'commenting'].includes(purpose))) ?? null
+}
+
+/**
+ * The first target of an annotation
+ * @param {Object} annotation - The annotation
+ * @returns {Object|String|null} The target, or the Presentation 2 `on`
+ */
+export function annotationTarget(annotation) {
+    return [annotation?.target ?? annotation?.on].flat()[0] ?? null
+}
+
+/**
+ * Every selector on a target, including refinements and the options of a Choice
+ * @param {Object|String|null} target - The target
+ * @returns {Array<Object>} Selectors
+ */
+export function targetSelectors(target) {
+    if (!target || typeof target !== 'object') return []
+    const expand = (selector) => {
+        if (!selector || typeof selector !== 'object') return []
+        const nested = [selector.refinedBy, selector.default, selector.item].flat().filter(Boolean)
+        return [selector, ...nested.flatMap(expand)]
+    }
+    return [target.selector].flat().flatMap(expand)
+}
+
+/**
+ * The type of a selector, without prefixes
+ * @param {Object} selector - The selector
+ * @returns {String|null} 'FragmentSelector', 'SvgSelector', …
+ */
+function selectorType(selector) {
+    const type = selector.type ?? selector['@type']
+    return type ? localName(type) : null
+}
+
+/**
+ * The canvas a target points at
+ * @param {Object|String|null} target - The target
+ * @returns {String|null} The canvas id, without any fragment
+ */
+export function targetCanvas(target) {
+    if (!target) return null
+    if (typeof target === 'string') return target.split('#')[0]
+    const source = target.source ?? target.full
+    if (source) return typeof source === 'string' ? source : source.id ?? source['@id'] ?? null
+    return (target.id ?? target['@id'])?.split('#')[0] ?? null
+}
+
+/**
+ * Read the points of an SVG polygon, polyline, or straight-line path
+ * @param {String} svg - SVG markup from an SvgSelector
+ * @returns {Array<Array<Number>>|null} [x, y] points, or null if the shape is not a polygon
+ */
+export function parseSvgPoints(svg) {
+    if (typeof svg !== 'string') return null
+    let coordinates = svg.match(/\bpoints\s*=\s*["']([^"']+)["']/i)?.[1]
+    if (!coordinates) {
+        const path = svg.match(/\bd\s*=\s*["']([^"']+)["']/i)?.[1]
+        // Only absolute moves and lines; curves and relative paths are not polygons we can draw
+        if (!path || !/^[\sMLZ\d.,eE-]+$/.test(path)) return null
+        coordinates = path
+    }
+    const numbers = (coordinates.match(/-?\d*\.?\d+(?:e-?\d+)?/gi) ?? []).map(Number)
+    if (numbers.length < 6) return null
+
+    const points = []
+    for (let i = 0; i + 1 < numbers.length; i += 2) points.push([numbers[i], numbers[i + 1]])
+    return points
+}
+
+/**
+ * The rectangle around a polygon
+ * @param {Array<Array<Number>>} points - [x, y] points
+ * @returns {{x: Number, y: Number, width: Number, height: Number}} The bounding box, in whole pixels
+ */
+export function polygonBounds(points) {
+    const xs = points.map(([x]) => x)
+    const ys = points.map(([, y]) => y)
+    const x = Math.floor(Math.min(...xs))
+    const y = Math.floor(Math.min(...ys))
+    return { x, y, width: Math.ceil(Math.max(...xs)) - x, height: Math.ceil(Math.max(...ys)) - y }
+}
+
+/**
+ * Read the metadata of an annotation
+ * @param {Object} annotation - The annotation
+ * @returns {AnnotationMetadata} The metadata
+ */
+export function annotationMetadata(annotation) {
+    const bodies = annotationBodies(annotation)
+    const valuesFor = purpose => bodies.filter(body => purposesOf(body).includes(purpose)).map(bodyValue).filter(Boolean)
+    const transcription = transcriptionBody(annotation)
+    const target = annotationTarget(annotation)
+    const selectors = targetSelectors(target)
+    const svg = selectors.find(selector => selectorType(selector) === 'SvgSelector')
+
+    return {
+        motivation: [annotation?.motivation].flat().filter(Boolean).map(localName),
+        language: [transcription?.language ?? annotation?.language].flat().filter(Boolean).join(', ') || null,
+        format: transcription?.format ?? transcription?.['dc:format'] ?? null,
+        tags: valuesFor('tagging'),
+        comments: valuesFor('commenting'),
+        selectorTypes: [...new Set(selectors.map(selectorType).filter(Boolean))],
+        polygon: svg ? parseSvgPoints(svg.value ?? svg.chars) : null,
+        canvas: targetCanvas(target)
+    }
+}
+
+/**
+ * The tracked fields that differ between two versions
+ * @param {Object|null} previous - The earlier version, or null for the first version
+ * @param {Object} current - The later version
+ * @param {String} [locale] - Language of the labels
+ * @returns {Array<{field: String, label: String, from: *, to: *}>} Changed fields, in display order
+ */
+export function metadataChanges(previous, current, locale = 'en') {
+    if (!previous) return []
+    const before = annotationMetadata(previous)
+    const after = annotationMetadata(current)
+    return METADATA_FIELDS
+        .filter(({ field }) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map(({ field, label }) => ({ field, label: translate(locale, label), from: before[field], to: after[field] }))
+}
+
+/**
+ * Whether a change moved the line from one canvas to another
+ * @param {{field: String, from: *, to: *}} change - A change from metadataChanges()
+ * @returns {Boolean} True for a canvas change between two known canvases
+ */
+export function isCanvasMove(change) {
+    return change.field === 'canvas' && Boolean(change.from) && Boolean(change.to)
+}
+
+/**
+ * Describe a change for display
+ * @param {{field: String, from: *, to: *}} change - A change from metadataChanges()
+ * @param {String} [locale] - Language of the description
+ * @returns {String} E.g. "+illegible −abbreviation", "transcribing → supplementing"
+ */
+export function formatMetadataChange({ field, from, to }, locale = 'en') {
+    if (field === 'polygon') {
+        if (!from) return translate(locale, 'polygonAdded', { count: to.length })
+        if (!to) return translate(locale, 'polygonRemoved')
+        return translate(locale, 'polygonReshaped', { from: from.length, to: to.length })
+    }
+    if (field === 'tags' || field === 'comments') {
+        const added = to.filter(value => !from.includes(value)).map(value => `+${value}`)
+        const removed = from.filter(value => !to.includes(value)).map(value => `−${value}`)
+        return [...added, ...removed].join(' ') || translate(locale, 'reordered')
+    }
+    const show = value => ([value].flat().filter(Boolean).join(', ') || translate(locale, 'none'))
+    return `${show(from)} → ${show(to)}`
+}
@@ -0,0 +1,435 @@
+/**
+ * Client-side cache for line histories.
+ * Keeps histories in memory and in IndexedDB across sessions, keyed by line URI with every
+ * version id as an alias, and coalesces concurrent requests for the same line. Histories expire
+ * after maxAge, and only the maxEntries most recently used are kept. Each provider caches in its
+ * own scope, so one source's versions are never served in place of another's.
+ *
+ * @module history-cache
+ * @author Research Computing Group
+ * @license MIT
+ */
+
+import { getVersionId } from './history-core.js'
+
+const HISTORY_STORE = 'histories'
+const ALIAS_STORE = 'aliases'
+const DB_VERSION = 2
+// Histories kept, and how long one is trusted at all
+export const DEFAULT_MAX_ENTRIES = 200
+export const DEFAULT_MAX_AGE = 30 * 24 * 60 * 60 * 1000
+// How long a history is revalidated from its heads before it is refetched in full
+export const DEFAULT_REFETCH_AFTER = 60 * 60 * 1000
+
+// Scopes of providers that do not name their own, by provider
+const providerScopes = new WeakMap()
+
+/**
+ * The cache scope of a history provider: its cacheScope property, or a scope unique to the provider object
+ * @param {Object} provider - The history provider
+ * @returns {String} The scope
+ */
+export function cacheScope(provider) {
+    if (provider.cacheScope) return provider.cacheScope
+    if (!providerScopes.has(provider)) providerScopes.set(provider, `provider:${crypto.randomUUID()}`)
+    return providerScopes.get(provider)
+}
+
+/**
+ * Cache key of a line or version URI within a scope
+ * @param {String} scope - The scope; empty for none
+ * @param {String} uri - The URI
+ * @returns {String} The key
+ */
+function scoped(scope, uri) {
+    return scope ? `${scope} ${uri}` : uri
+}
+
+/**
+ * Wrap an IndexedDB request in a Promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<*>} The request result
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+    })
+}
+
+/**
+ * Settle with a promise, or reject as soon as a signal aborts
+ * @param {Promise<*>} promise - The promise
+ * @param {AbortSignal} [signal] - The caller's signal
+ * @returns {Promise<*>} The promise's result, or the abort reason
+ */
+function untilAborted(promise, signal) {
+    if (!signal) return promise
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason)
+        signal.addEventListener('abort', onAbort, { once: true })
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort))
+    })
+}
+
+/**
+ * Wait for an IndexedDB transaction to finish
+ * @param {IDBTransaction} transaction - The transaction
+ * @returns {Promise<void>} Resolves on complete, rejects on error or abort
+ */
+function completion(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve()
+        transaction.onerror = () => reject(transaction.error)
+        transaction.onabort = () => reject(transaction.error)
+    })
+}
+
+/**
+ * Merge newly fetched versions into a cached history; fetched copies replace cached ones
+ * @param {Array<Object>} cached - Cached versions
+ * @param {Array<Object>} fetched - Newly fetched versions
+ * @returns {Array<Object>} The union of both
+ */
+export function mergeVersions(cached, fetched) {
+    const byId = new Map(cached.map(item => [getVersionId(item), item]))
+    for (const item of fetched) byId.set(getVersionId(item), item)
+    return [...byId.values()]
+}
+
+/**
+ * The newest versions of a history: those no other known version descends from
+ * @param {Array<Object>} items - Versions
+ * @returns {Array<Object>} Head versions; every version if the links form no heads
+ */
+export function headVersions(items) {
+    const ids = new Set(items.map(getVersionId))
+    const superseded = new Set(items.map(item => item.__rerum?.history?.previous).filter(Boolean))
+    const heads = items.filter(item => !superseded.has(getVersionId(item)) &&
+        ![item.__rerum?.history?.next ?? []].flat().some(id => ids.has(id)))
+    return heads.length > 0 ? heads : items
+}
+
+/**
+ * Whether every version's predecessor is among the versions
+ * @param {Array<Object>} items - Versions
+ * @returns {Boolean} False if some version was saved over one that is missing
+ */
+export function hasAllPredecessors(items) {
+    const ids = new Set(items.map(getVersionId))
+    return items.every(item => !item.__rerum?.history?.previous || ids.has(item.__rerum.history.previous))
+}
+
+/**
+ * Line histories in memory, persisted to IndexedDB where available
+ */
+export class HistoryCache {
+    /**
+     * @param {Object} [options]
+     * @param {String} [options.dbName] - IndexedDB database name
+     * @param {IDBFactory|null} [options.indexedDB] - IndexedDB implementation; null for memory only
+     * @param {Number} [options.maxEntries] - Histories kept; the least recently used are evicted
+     * @param {Number} [options.maxAge] - Milliseconds after which a cached history is discarded
+     */
+    constructor({ dbName = 'tpen-line-history', indexedDB = globalThis.indexedDB ?? null, maxEntries = DEFAULT_MAX_ENTRIES, maxAge = DEFAULT_MAX_AGE } = {}) {
+        this.dbName = dbName
+        this.indexedDB = indexedDB
+        this.maxEntries = maxEntries
+        this.maxAge = maxAge
+        // Records in least to most recently used order
+        this.records = new Map()
+        this.aliases = new Map()
+        this.inflight = new Map()
+        this.dbPromise = null
+    }
+
+    /**
+     * Open the database, once
+     * @returns {Promise<IDBDatabase|null>} The database, or null if IndexedDB is unavailable
+     */
+    openDatabase() {
+        if (!this.indexedDB) return Promise.resolve(null)
+        this.dbPromise ??= new Promise((resolve) => {
+            const request = this.indexedDB.open(this.dbName, DB_VERSION)
+            request.onupgradeneeded = ({ oldVersion }) => {
+                if (oldVersion < 1) {
+                    request.result.createObjectStore(HISTORY_STORE, { keyPath: 'key' })
+                    request.result.createObjectStore(ALIAS_STORE, { keyPath: 'id' })
+                }
+                if (oldVersion < 2) {
+                    // Indexes for evicting the oldest histories along with their aliases
+                    request.transaction.objectStore(HISTORY_STORE).createIndex('cachedAt', 'cachedAt')
+                    request.transaction.objectStore(ALIAS_STORE).createIndex('key', 'key')
+                }
+            }
+            request.onsuccess = () => resolve(request.result)
+            request.onerror = () => {
+                console.warn('tpen-line-history: IndexedDB unavailable, caching in memory only:', request.error)
+                resolve(null)
+            }
+        })
+        return this.dbPromise
+    }
+
+    /**
+     * Whether a record is too old to use
+     * @param {{cachedAt: Number}} record - The cached record
+     * @returns {Boolean} True once maxAge has passed since it was stored
+     */
+    isExpired(record) {
+        return Date.now() - record.cachedAt > this.maxAge
+    }
+
+    /**
+     * Look up the cached history containing a line or version URI
+     * @param {String} uri - A line or version URI
+     * @param {Object} [options]
+     * @param {String} [options.scope] - The provider's cache scope
+     * @returns {Promise<{key: String, items: Array<Object>, hasOlder: Boolean, cachedAt: Number, fetchedAt: Number}|null>}
+     *     The cached record, or null if none is cached or it has expired
+     */
+    async get(uri, { scope = '' } = {}) {
+        const id = scoped(scope, uri)
+        const key = this.aliases.get(id) ?? id
+        const known = this.records.get(key)
+        if (known && !this.isExpired(known)) {
+            this.remember(known)
+            return known
+        }
+        if (known) this.forget(known)
+
+        try {
+            const db = await this.openDatabase()
+            if (!db) return null
+            const transaction = db.transaction([HISTORY_STORE, ALIAS_STORE], 'readonly')
+            const alias = await promisify(transaction.objectStore(ALIAS_STORE).get(id))
+            const record = await promisify(transaction.objectStore(HISTORY_STORE).get(alias?.key ?? id))
+            if (!record) return null
+            if (this.isExpired(record)) {
+                this.forget(record)
+                await this.delete([record.key])
+                return null
+            }
+            this.remember(record)
+            return record
+        } catch (error) {
+            console.warn('tpen-line-history: could not read history cache:', error)
+            return null
+        }
+    }
+
+    /**
+     * Store a line's history
+     * @param {String} uri - The line URI used to fetch it
+     * @param {Array<Object>} items - Every known version of the line
+     * @param {Object} [options]
+     * @param {String} [options.scope] - The provider's cache scope
+     * @param {Boolean} [options.hasOlder] - Whether the source holds versions older than these
+     * @param {Number} [options.fetchedAt] - When the whole history was last fetched; defaults to the cached
+     *     record's, or now for a new record
+     * @returns {Promise<void>} Resolves once persisted, or immediately without IndexedDB
+     */
+    async set(uri, items, { scope = '', hasOlder = false, fetchedAt } = {}) {
+        const key = this.aliases.get(scoped(scope, uri)) ?? scoped(scope, uri)
+        const now = Date.now()
+        const record = { key, scope, items, hasOlder, cachedAt: now, fetchedAt: fetchedAt ?? this.records.get(key)?.fetchedAt ?? now }
+        this.remember(record)
+
+        try {
+            const db = await this.openDatabase()
+            if (!db) return
+            const transaction = db.transaction([HISTORY_STORE, ALIAS_STORE], 'readwrite')
+            transaction.objectStore(HISTORY_STORE).put(record)
+            const aliases = transaction.objectStore(ALIAS_STORE)
+            for (const id of [uri, ...items.map(getVersionId)].filter(Boolean)) aliases.put({ id: scoped(scope, id), key })
+            await completion(transaction)
+            await this.prune(db)
+        } catch (error) {
+            console.warn('tpen-line-history: could not write history cache:', error)
+        }
+    }
+
+    /**
+     * Delete the stored histories beyond maxEntries, oldest first, with their aliases
+     * @param {IDBDatabase} db - The database
+     * @returns {Promise<void>} Resolves once deleted
+     */
+    async prune(db) {
+        const transaction = db.transaction([HISTORY_STORE], 'readonly')
+        const keys = await promisify(transaction.objectStore(HISTORY_STORE).index('cachedAt').getAllKeys())
+        await this.delete(keys.slice(0, Math.max(0, keys.length - this.maxEntries)))
+    }
+
+    /**
+     * Delete stored histories and their aliases
+     * @param {Array<String>} keys - The history keys
+     * @returns {Promise<void>} Resolves once deleted
+     */
+    async delete(keys) {
+        const db = await this.openDatabase()
+        if (!db || keys.length === 0) return
+        const transaction = db.transaction([HISTORY_STORE, ALIAS_STORE], 'readwrite')
+        const aliasIndex = transaction.objectStore(ALIAS_STORE).index('key')
+        for (const key of keys) {
+            transaction.objectStore(HISTORY_STORE).delete(key)
+            aliasIndex.getAllKeys(key).onsuccess = ({ target }) => {
+                for (const id of target.result) transaction.objectStore(ALIAS_STORE).delete(id)
+            }
+        }
+        await completion(transaction)
+    }
+
+    /**
+     * Keep a record and its version aliases in memory as the most recently used, evicting the least
+     * recently used beyond maxEntries
+     * @param {{key: String, scope: String, items: Array<Object>}} record - The cached record
+     */
+    remember(record) {
+        this.records.delete(record.key)
+        this.records.set(record.key, record)
+        for (const id of record.items.map(getVersionId).filter(Boolean)) this.aliases.set(scoped(record.scope ?? '', id), record.key)
+        for (const oldest of this.records.values()) {
+            if (this.records.size <= this.maxEntries) break
+            this.forget(oldest)
+        }
+    }
+
+    /**
+     * Drop a record and its aliases from memory
+     * @param {{key: String}} record - The cached record
+     */
+    forget(record) {
+        this.records.delete(record.key)
+        for (const [id, key] of this.aliases) {
+            if (key === record.key) this.aliases.delete(id)
+        }
+    }
+
+    /**
+     * Run a fetch for a URI unless one is already in flight, in which case share its result.
+     * The shared fetch is aborted once every caller that joined it with a signal has aborted;
+     * a caller without a signal keeps it running.
+     * @param {String} uri - The line URI
+     * @param {Function} fetcher - Starts the fetch; receives the shared fetch's AbortSignal
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts this caller's wait
+     * @param {String} [options.scope] - The provider's cache scope
+     * @returns {Promise<*>} The fetch result
+     */
+    coalesce(uri, fetcher, { signal, scope = '' } = {}) {
+        if (signal?.aborted) return Promise.reject(signal.reason)
+        const key = this.aliases.get(scoped(scope, uri)) ?? scoped(scope, uri)
+        let entry = this.inflight.get(key)
+        if (!entry) {
+            const controller = new AbortController()
+            entry = { controller, callers: 0 }
+            entry.promise = fetcher(controller.signal).finally(() => {
+                if (this.inflight.get(key) === entry) this.inflight.delete(key)
+            })
+            this.inflight.set(key, entry)
+        }
+
+        const shared = entry
+        shared.callers++
+        signal?.addEventListener('abort', () => {
+            if (--shared.callers > 0) return
+            shared.controller.abort(signal.reason)
+            // A later request starts a new fetch rather than joining the aborted one
+            if (this.inflight.get(key) === shared) this.inflight.delete(key)
+        }, { once: true })
+        return untilAborted(shared.promise, signal)
+    }
+}
+
+/**
+ * History provider wrapper that answers from the cache and revalidates against the wrapped provider.
+ * Providers with a fetchSince(uri, { signal }) method are asked only for versions newer than the
+ * cached heads; others refetch the whole history. Head revalidation cannot see a new branch saved
+ * over an older version, so the whole history is also refetched once refetchAfter has passed since
+ * the last full fetch, and whenever a fetched version's predecessor is missing from the cache.
+ */
+export class CachedHistoryProvider {
+    /**
+     * @param {Object} provider - The wrapped history provider
+     * @param {HistoryCache} cache - The cache
+     * @param {Object} [options]
+     * @param {Number} [options.refetchAfter] - Milliseconds after a full fetch before the next revalidation fetches in full again
+     */
+    constructor(provider, cache, { refetchAfter = DEFAULT_REFETCH_AFTER } = {}) {
+        this.provider = provider
+        this.cache = cache
+        this.refetchAfter = refetchAfter
+        this.scope = cacheScope(provider)
+    }
+
+    /**
+     * Cached versions of a line, without fetching
+     * @param {String} uri - The line URI
+     * @returns {Promise<Array<Object>|null>} The cached versions, or null if the line is not cached
+     */
+    async peek(uri) {
+        return (await this.cache.get(uri, { scope: this.scope }))?.items ?? null
+    }
+
+    /**
+     * Replace the cached versions of a line, such as after a save
+     * @param {String} uri - The line URI
+     * @param {Array<Object>} items - Every known version of the line
+     * @param {Object} [options]
+     * @param {Boolean} [options.hasOlder] - Whether the source holds versions older than these
+     * @returns {Promise<void>} Resolves once stored
+     */
+    store(uri, items, { hasOlder = false } = {}) {
+        return this.cache.set(uri, items, { scope: this.scope, hasOlder })
+    }
+
+    /**
+     * Fetch every version of a line, revalidating any cached copy
+     * @param {String} uri - The line URI
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts this request; the shared fetch stops once every request for the line has aborted
+     * @returns {Promise<{items: Array<Object>, graph: Object|null, hasOlder: Boolean}>} The versions
+     */
+    fetchHistory(uri, { signal } = {}) {
+        return this.cache.coalesce(uri, async (shared) => {
+            const cached = await this.cache.get(uri, { scope: this.scope })
+            const recent = cached && Date.now() - (cached.fetchedAt ?? cached.cachedAt) < this.refetchAfter
+            let result = null
+            let fetchedAt = cached?.fetchedAt
+            if (recent && this.provider.fetchSince) {
+                try {
+                    const newer = await Promise.all(headVersions(cached.items).map(head => this.provider.fetchSince(getVersionId(head), { signal: shared })))
+                    const items = mergeVersions(cached.items, newer.flat())
+                    // A paged history lacks its oldest predecessors by design; otherwise a gap means a missed branch
+                    if (cached.hasOlder || hasAllPredecessors(items)) result = { items, graph: null, hasOlder: cached.hasOlder ?? false }
+                } catch (error) {
+                    if (shared.aborted) throw error
+                    console.warn('tpen-line-history: revalidation failed, refetching full history:', error)
+                }
+            }
+            if (!result) {
+                result = await this.provider.fetchHistory(uri, { signal: shared })
+                fetchedAt = Date.now()
+            }
+            if (shared.aborted) throw shared.reason
+            if (result.items.length > 0) await this.cache.set(uri, result.items, { scope: this.scope, hasOlder: result.hasOlder ?? false, fetchedAt })
+            return result
+        }, { signal, scope: this.scope })
+    }
+
+    /**
+     * Fetch versions older than those loaded, from providers that page their histories
+     * @param {String} uri - The line URI
+     * @param {Object} [options]
+     * @param {Object} [options.before] - The oldest version already loaded
+     * @param {AbortSignal} [options.signal] - Aborts the fetch
+     * @returns {Promise<{items: Array<Object>, hasOlder: Boolean}>} The older versions
+     */
+    async fetchOlder(uri, { before, signal } = {}) {
+        if (!this.provider.fetchOlder) return { items: [], hasOlder: false }
+        const { items, hasOlder = false } = await this.provider.fetchOlder(uri, { before, signal })
+        const cached = await this.cache.get(uri, { scope: this.scope })
+        await this.cache.set(uri, mergeVersions(cached?.items ?? [], items), { scope: this.scope, hasOlder })
+        return { items, hasOlder }
+    }
+}
@@ -0,0 +1,109 @@
+/**
+ * Contributor attribution helpers.
+ * Resolves who made each version from the annotation's creator, its RERUM generatedBy agent,
+ * and the TPEN project's member list.
+ *
+ * @module history-contributors
+ * @author Research Computing Group
+ * @license MIT
+ */
+
+/**
+ * @typedef {Object} Contributor
+ * @property {String} id - Agent id, or 'unknown'
+ * @property {String} name - Display name
+ * @property {String|null} avatar - Avatar image URL if one is known
+ */
+
+export const UNKNOWN_CONTRIBUTOR = Object.freeze({ id: 'unknown', name: 'Unknown contributor', avatar: null })
+
+/**
+ * Last path segment of an id, used to match agent URIs against bare member ids
+ * @param {String} id - A URI or id
+ * @returns {String} The trailing segment
+ */
+function idTail(id) {
+    return String(id).replace(/\/+$/, '').split('/').pop()
+}
+
+/**
+ * Normalize a project's member list into a lookup keyed by id and agent id tail
+ * @param {Object|Array|null} members - TPEN project collaborators, as an object keyed by user id or an array
+ * @returns {Map<String, Contributor>} Members by id tail
+ */
+export function indexMembers(members) {
+    const index = new Map()
+    if (!members) return index
+
+    const entries = Array.isArray(members)
+        ? members.map(member => [member?._id ?? member?.id ?? member?.agent, member])
+        : Object.entries(members)
+
+    for (const [key, member] of entries) {
+        if (!key && !member?.agent) continue
+        const profile = member?.profile ?? member ?? {}
+        const contributor = {
+            id: member?.agent ?? key,
+            name: profile.displayName ?? profile.name ?? member?.name ?? member?.email ?? idTail(key ?? member.agent),
+            avatar: profile.avatar ?? profile.picture ?? member?.avatar ?? null
+        }
+        for (const id of [key, member?.agent, member?._id].filter(Boolean)) {
+            index.set(idTail(id), contributor)
+        }
+    }
+    return index
+}
+
+/**
+ * Resolve the contributor of a version
+ * @param {Object} item - The version object
+ * @param {Map<String, Contributor>} [memberIndex] - Members from indexMembers()
+ * @returns {Contributor} The contributor, or UNKNOWN_CONTRIBUTOR
+ */
+export function resolveContributor(item, memberIndex = new Map()) {
+    // creator names the person; generatedBy may only name the application that saved it
+    const refs = [item?.creator, item?.__rerum?.generatedBy].flat().filter(Boolean)
+
+    for (const ref of refs) {
+        const id = typeof ref === 'string' ? ref : ref.id ?? ref['@id']
+        const member = id ? memberIndex.get(idTail(id)) : null
+        if (member) return member
+    }
+
+    const [ref] = refs
+    if (!ref) return UNKNOWN_CONTRIBUTOR
+    if (typeof ref === 'string') return { id: ref, name: idTail(ref), avatar: null }
+
+    const id = ref.id ?? ref['@id'] ?? ref.name ?? 'unknown'
+    return {
+        id,
+        name: ref.name ?? ref.nickname ?? ref.label ?? idTail(id),
+        avatar: ref.avatar ?? ref.image ?? null
+    }
+}
+
+/**
+ * Count how many versions each contributor made
+ * @param {Array<Object>} items - Version objects
+ * @param {Function} resolve - Returns the Contributor for a version
+ * @returns {Array<{contributor: Contributor, count: Number}>} Contributors, most edits first
+ */
+export function summarizeContributors(items, resolve) {
+    const counts = new Map()
+    for (const item of items) {
+        const contributor = resolve(item)
+        const entry = counts.get(contributor.id) ?? { contributor, count: 0 }
+        entry.count++
+        counts.set(contributor.id, entry)
+    }
+    return [...counts.values()].sort((a, b) => b.count - a.count || a.contributor.name.localeCompare(b.contributor.name))
+}
+
+/**
+ * Initials for an avatar placeholder
+ * @param {String} name - Display name
+ * @returns {String} Up to two initials
+ */
+export function initials(name) {
+    return String(name).split(/\s+/).filter(Boolean).slice(0, 2).map(part => Array.from(part)[0].toUpperCase()).join('') || '?'
+}
@@ -0,0 +1,471 @@
+/**
+ * DOM-free line history model.
+ * Reads the id, time, text, bounding box and canvas of IIIF Presentation 2 (`on`, `resource` with
+ * `cnt:chars`) and Presentation 3 (`target`, `body`) annotations, and computes what changed between
+ * versions, and classifies each change. The component delegates to this module; Node scripts and other
+ * views can use it directly.
+ *
+ * @module history-core
+ * @author Research Computing Group
+ * @license MIT
+ */
+
+import { diffText, hasChanges, tokenize } from './history-diff.js'
+import { boundingDelta } from './history-overlay.js'
+import { annotationMetadata, metadataChanges, transcriptionBody, bodyValue, annotationTarget, targetSelectors, targetCanvas, polygonBounds } from './history-annotation.js'
+
+/**
+ * Kinds of change a version can make: the first version of a line is `created`; `blanked` empties the text,
+ * `revert` restores a reading from before the previous version, and `rewrite` deletes or replaces more of the
+ * previous reading than the rewrite threshold; otherwise `text`, `geometry` or `both`, or `unchanged` when only metadata changed
+ */
+export const CHANGE_KINDS = Object.freeze(['created', 'text', 'geometry', 'both', 'blanked', 'rewrite', 'revert', 'unchanged'])
+
+// Changes worth a second look, as vandalism or accidental wipes
+export const ANOMALOUS_CHANGES = Object.freeze(['blanked', 'rewrite'])
+
+// Share of the previous reading that must be deleted or replaced for a change to count as a rewrite
+export const DEFAULT_REWRITE_THRESHOLD = 0.5
+
+/**
+ * @typedef {Object} Bounding
+ * @property {Number} x
+ * @property {Number} y
+ * @property {Number} width
+ * @property {Number} height
+ */
+
+/**
+ * @typedef {Object} LineVersion
+ * @property {String|null} id - The version id
+ * @property {Number} timestamp - When it was saved, in milliseconds
+ * @property {String} text - The transcription
+ * @property {Bounding|null} bounding - The box on the canvas
+ * @property {String|null} canvas - The canvas it targets
+ * @property {Number|null} presentation - 2 or 3 for IIIF annotations, null for plain line objects
+ * @property {Object} annotation - The original annotation
+ */
+
+/**
+ * @typedef {Object} VersionDelta
+ * @property {Boolean} textChanged - Whether the text differs
+ * @property {Array<{type: String, value: String}>} textDiff - Diff operations from the earlier text to the later
+ * @property {String} granularity - 'word' or 'char', the unit of the text diff
+ * @property {Boolean} boundingChanged - Whether the box differs
+ * @property {Array<{key: String, delta: Number}>} boundingDelta - Moved dimensions, when both versions have a box
+ * @property {Array<{field: String, label: String, from: *, to: *}>} metadataChanges - Changed annotation metadata
+ */
+
+/**
+ * @typedef {Object} ChangeSummary
+ * @property {Number} inserted - Inserted words or characters
+ * @property {Number} deleted - Deleted words or characters
+ * @property {Boolean} text - Whether the text changed
+ * @property {Boolean} bounding - Whether the box changed
+ * @property {Array<String>} metadata - Changed metadata fields
+ */
+
+/**
+ * Get the identifier of a version
+ * @param {Object} item - The version object
+ * @returns {String|undefined} The version id
+ */
+export function getVersionId(item) {
+    return item?.['@id'] ?? item?.id ?? item?._id
+}
+
+/**
+ * Extract timestamp from a line object using RERUM heuristics
+ * @param {Object} line - The line object
+ * @returns {Number} Timestamp in milliseconds
+ */
+export function getTimestamp(line) {
+    const createdAt = line?.__rerum?.createdAt ?? line?.createdAt ?? line?.modified ?? line?.created ?? line?.timestamp
+    const isOverwritten = line?.__rerum?.isOverwritten ?? line?.isOverwritten
+
+    const timestamps = [createdAt, isOverwritten].filter(Boolean).map(ts => {
+        if (typeof ts === 'string') {
+            const date = new Date(ts)
+            return isNaN(date.getTime()) ? null : date.getTime()
+        }
+        if (typeof ts === 'number') return ts
+        return null
+    }).filter(t => t !== null)
+
+    return timestamps.length > 0 ? Math.max(...timestamps) : 0
+}
+
+/**
+ * Extract text from a line object
+ * @param {Object} line - The line object
+ * @returns {String} The text content
+ */
+export function getLineText(line) {
+    // The transcription body, skipping tag and comment bodies
+    const body = transcriptionBody(line)
+    if (body) return bodyValue(body)
+
+    // Support various other text property names
+    return line?.text ?? line?.content ?? line?.['cnt:chars'] ?? line?.value ?? ''
+}
+
+/**
+ * Extract image bounding information from a line object
+ * @param {Object} line - The line object
+ * @returns {Bounding|null} The bounding box information
+ */
+export function getLineBounding(line) {
+    const target = annotationTarget(line)
+    // A target URI with a fragment, or any of the target's selectors
+    const fragments = typeof target === 'string' ? [target] : targetSelectors(target).map(selector => selector.value)
+    for (const value of fragments) {
+        // xywh format: xywh=pixel:x,y,w,h or xywh=x,y,w,h
+        const match = typeof value === 'string' && value.match(/xywh=(?:pixel:)?(\d+),(\d+),(\d+),(\d+)/)
+        if (match) {
+            return {
+                x: parseInt(match[1]),
+                y: parseInt(match[2]),
+                width: parseInt(match[3]),
+                height: parseInt(match[4])
+            }
+        }
+    }
+
+    // The rectangle around an SVG polygon selector
+    const { polygon } = annotationMetadata(line)
+    if (polygon) return polygonBounds(polygon)
+
+    // Direct bounding box properties
+    if (line?.x !== undefined && line.y !== undefined &&
+        (line.width !== undefined || line.w !== undefined) &&
+        (line.height !== undefined || line.h !== undefined)) {
+        return {
+            x: line.x,
+            y: line.y,
+            width: line.width ?? line.w,
+            height: line.height ?? line.h
+        }
+    }
+
+    return null
+}
+
+/**
+ * Extract image source from a line object
+ * @param {Object} line - The line object
+ * @returns {String|null} The image source URL
+ */
+export function getLineImageSource(line) {
+    const target = annotationTarget(line)
+    // Handle direct target URL
+    if (typeof target === 'string') return target
+    // Presentation 3 SpecificResource `source`, or Presentation 2 `full`
+    const source = target?.source ?? target?.full
+    if (source) return typeof source === 'string' ? source : source.id ?? source['@id'] ?? null
+
+    // Check for direct image properties
+    return line?.image ?? line?.src ?? line?.source ?? null
+}
+
+/**
+ * Resolve the IIIF manifest and canvas for a line
+ * @param {Object} [context]
+ * @param {Object} [context.project] - A TPEN project, whose manifest is a URL or an array of URLs
+ * @param {String} [context.manifest] - A manifest to use when the project has none
+ * @param {Object} [context.line] - The line, whose target names the canvas
+ * @returns {{manifest: String|null, canvas: String|null}} Manifest and canvas URLs
+ */
+export function getIIIFContext({ project = null, manifest = null, line = null } = {}) {
+    const projectManifest = [project?.manifest].flat()[0]
+    return {
+        manifest: (typeof projectManifest === 'string' ? projectManifest : null) ?? manifest ?? null,
+        canvas: line ? targetCanvas(annotationTarget(line)) : null
+    }
+}
+
+/**
+ * Compare two bounding boxes
+ * @param {Bounding|null} box1 - First bounding box
+ * @param {Bounding|null} box2 - Second bounding box
+ * @returns {Boolean} True if boxes are different
+ */
+export function boundingChanged(box1, box2) {
+    if (!box1 && !box2) return false
+    if (!box1 || !box2) return true
+    return box1.x !== box2.x || box1.y !== box2.y ||
+        box1.width !== box2.width || box1.height !== box2.height
+}
+
+/**
+ * Which IIIF Presentation API an annotation follows
+ * @param {Object} annotation - The annotation
+ * @returns {Number|null} 2 for `on`/`resource`, 3 for `target`/`body`, null for plain line objects
+ */
+export function presentationVersion(annotation) {
+    if (annotation?.on !== undefined || annotation?.resource !== undefined) return 2
+    if (annotation?.target !== undefined || annotation?.body !== undefined) return 3
+    return null
+}
+
+/**
+ * Read a version into one shape, whichever Presentation API it follows
+ * @param {Object} annotation - The annotation or line object
+ * @returns {LineVersion} The normalized version
+ */
+export function normalizeVersion(annotation) {
+    return {
+        id: getVersionId(annotation) ?? null,
+        timestamp: getTimestamp(annotation),
+        text: getLineText(annotation) ?? '',
+        bounding: getLineBounding(annotation),
+        canvas: targetCanvas(annotationTarget(annotation)),
+        presentation: presentationVersion(annotation),
+        annotation
+    }
+}
+
+/**
+ * What changed from one version to the next
+ * @param {Object|null} previous - The earlier annotation, or null for the first version
+ * @param {Object} current - The later annotation
+ * @param {Object} [options]
+ * @param {String} [options.granularity] - 'word' or 'char' text diff
+ * @returns {VersionDelta} The changes; the first version is compared against an empty line
+ */
+export function versionDelta(previous, current, { granularity = 'word' } = {}) {
+    const fromBounding = previous ? getLineBounding(previous) : null
+    const toBounding = getLineBounding(current)
+    const textDiff = diffText(previous ? getLineText(previous) : '', getLineText(current), granularity)
+    return {
+        textChanged: hasChanges(textDiff),
+        textDiff,
+        granularity,
+        boundingChanged: previous ? boundingChanged(fromBounding, toBounding) : Boolean(toBounding),
+        boundingDelta: boundingDelta(fromBounding, toBounding),
+        metadataChanges: metadataChanges(previous, current)
+    }
+}
+
+/**
+ * Levenshtein distance between two strings, counting characters rather than UTF-16 code units
+ * @param {String} a - One string
+ * @param {String} b - The other
+ * @returns {Number} The fewest insertions, deletions and substitutions turning one into the other
+ */
+export function editDistance(a, b) {
+    const from = Array.from(a)
+    const to = Array.from(b)
+    let row = to.map((_, index) => index + 1)
+    row.unshift(0)
+    for (let i = 1; i <= from.length; i++) {
+        const next = [i]
+        for (let j = 1; j <= to.length; j++) {
+            next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (from[i - 1] === to[j - 1] ? 0 : 1))
+        }
+        row = next
+    }
+    return row[to.length]
+}
+
+/**
+ * Length of the longest common subsequence of two strings, counting characters rather than UTF-16 code units
+ * @param {String} a - One string
+ * @param {String} b - The other
+ * @returns {Number} How many characters of each can be kept, in order, when turning one into the other
+ */
+export function commonLength(a, b) {
+    const from = Array.from(a)
+    const to = Array.from(b)
+    let row = new Array(to.length + 1).fill(0)
+    for (let i = 1; i <= from.length; i++) {
+        const next = [0]
+        for (let j = 1; j <= to.length; j++) {
+            next[j] = from[i - 1] === to[j - 1] ? row[j - 1] + 1 : Math.max(row[j], next[j - 1])
+        }
+        row = next
+    }
+    return row[to.length]
+}
+
+/**
+ * Classify the change a version made
+ * @param {Object} current - The version
+ * @param {Object|null} previous - The version before it, or null for the first
+ * @param {Array<Object>} [earlier] - Versions before the previous one, in any order, for finding reverts
+ * @param {Object} [options]
+ * @param {Number} [options.rewriteThreshold] - Share of the previous reading deleted or replaced above which a change is a rewrite;
+ *     insertions, such as expanding an abbreviation, keep the whole previous reading and never count
+ * @returns {String} One of CHANGE_KINDS
+ */
+export function classifyChange(current, previous, earlier = [], { rewriteThreshold = DEFAULT_REWRITE_THRESHOLD } = {}) {
+    if (!previous) return 'created'
+    const text = getLineText(current) ?? ''
+    const previousText = getLineText(previous) ?? ''
+    const textChanged = text !== previousText
+    const geometryChanged = boundingChanged(getLineBounding(current), getLineBounding(previous))
+
+    if (textChanged) {
+        if (!text.trim() && previousText.trim()) return 'blanked'
+        if (text.trim() && earlier.some(version => getLineText(version) === text)) return 'revert'
+        const { length } = Array.from(previousText)
+        if (text.trim() && previousText.trim() && 1 - commonLength(text, previousText) / length > rewriteThreshold) return 'rewrite'
+    }
+    if (textChanged && geometryChanged) return 'both'
+    if (textChanged) return 'text'
+    return geometryChanged ? 'geometry' : 'unchanged'
+}
+
+/**
+ * Classify every version of a line
+ * @param {Array<Object>} annotations - The versions, newest first
+ * @param {Object} [options] - Passed to classifyChange()
+ * @returns {Array<String>} The kind of each version, in the same order
+ */
+export function classifyVersions(annotations, options) {
+    return annotations.map((annotation, index) => classifyChange(annotation, annotations[index + 1] ?? null, annotations.slice(index + 2), options))
+}
+
+/**
+ * Count versions by kind of change
+ * @param {Array<String>} kinds - Output of classifyVersions()
+ * @returns {Object<String, Number>} Counts for the kinds that occur, in CHANGE_KINDS order
+ */
+export function countChangeKinds(kinds) {
+    return Object.fromEntries(CHANGE_KINDS
+        .map(kind => [kind, kinds.filter(candidate => candidate === kind).length])
+        .filter(([, count]) => count > 0))
+}
+
+/**
+ * Summarize a delta
+ * @param {VersionDelta} delta - Output of versionDelta()
+ * @returns {ChangeSummary} Counts and flags
+ */
+export function summarizeDelta(delta) {
+    const count = type => delta.textDiff
+        .filter(op => op.type === type)
+        .reduce((total, op) => total + tokenize(op.value, delta.granularity).filter(token => token.trim()).length, 0)
+    return {
+        inserted: count('insert'),
+        deleted: count('delete'),
+        text: delta.textChanged,
+        bounding: delta.boundingChanged,
+        metadata: delta.metadataChanges.map(change => change.field)
+    }
+}
+
+/**
+ * The versions of one line, newest first, with what changed between each and the one before it
+ */
+export class LineHistory {
+    /**
+     * @param {Array<Object>} [annotations] - Versions in any order
+     * @param {Object} [options]
+     * @param {String} [options.granularity] - 'word' or 'char' text diffs
+     * @param {Number} [options.rewriteThreshold] - Share of the previous reading replaced above which a change is a rewrite
+     */
+    constructor(annotations = [], { granularity = 'word', rewriteThreshold = DEFAULT_REWRITE_THRESHOLD } = {}) {
+        this.granularity = granularity
+        this.rewriteThreshold = rewriteThreshold
+        this.versions = annotations.map(normalizeVersion).sort((a, b) => b.timestamp - a.timestamp)
+    }
+
+    /**
+     * How many versions there are
+     * @returns {Number} The count
+     */
+    get length() {
+        return this.versions.length
+    }
+
+    /**
+     * The newest version
+     * @returns {LineVersion|null} The current version
+     */
+    get current() {
+        return this.versions[0] ?? null
+    }
+
+    /**
+     * The annotations, newest first
+     * @returns {Array<Object>} The original annotations
+     */
+    get annotations() {
+        return this.versions.map(version => version.annotation)
+    }
+
+    /**
+     * Find a version by id
+     * @param {String} id - The version id
+     * @returns {LineVersion|null} The version
+     */
+    version(id) {
+        return this.versions.find(version => version.id === id) ?? null
+    }
+
+    /**
+     * The version saved before another
+     * @param {LineVersion|String} version - A version or its id
+     * @returns {LineVersion|null} The previous version, or null for the first
+     */
+    previous(version) {
+        const index = this.versions.indexOf(typeof version === 'string' ? this.version(version) : version)
+        return index >= 0 ? this.versions[index + 1] ?? null : null
+    }
+
+    /**
+     * What changed in a version
+     * @param {LineVersion|String} version - A version or its id
+     * @returns {VersionDelta|null} The delta from the version before it, or null for an unknown version
+     */
+    delta(version) {
+        const found = typeof version === 'string' ? this.version(version) : version
+        if (!found) return null
+        return versionDelta(this.previous(found)?.annotation ?? null, found.annotation, { granularity: this.granularity })
+    }
+
+    /**
+     * The kind of change each version made, newest first
+     * @returns {Array<String>} Kinds from CHANGE_KINDS
+     */
+    kinds() {
+        return classifyVersions(this.annotations, { rewriteThreshold: this.rewriteThreshold })
+    }
+
+    /**
+     * Every version with its delta and kind of change, newest first
+     * @returns {Array<{version: LineVersion, delta: VersionDelta, summary: ChangeSummary, kind: String, anomalous: Boolean}>} The changes
+     */
+    changes() {
+        const kinds = this.kinds()
+        return this.versions.map((version, index) => {
+            const delta = this.delta(version)
+            const kind = kinds[index]
+            return { version, delta, summary: summarizeDelta(delta), kind, anomalous: ANOMALOUS_CHANGES.includes(kind) }
+        })
+    }
+
+    /**
+     * Count the kinds of change across the history; text, bounding and metadata do not count the first version
+     * @returns {{versions: Number, text: Number, bounding: Number, metadata: Number, kinds: Object<String, Number>}} Versions that changed each, and versions of each kind
+     */
+    summary() {
+        const changes = this.changes()
+        const later = changes.slice(0, -1)
+        return {
+            versions: this.length,
+            text: later.filter(({ summary }) => summary.text).length,
+            bounding: later.filter(({ summary }) => summary.bounding).length,
+            metadata: later.filter(({ summary }) => summary.metadata.length > 0).length,
+            kinds: countChangeKinds(changes.map(({ kind }) => kind))
+        }
+    }
+
+    /**
+     * Plain data for JSON
+     * @returns {Array<Object>} The annotations, newest first
+     */
+    toJSON() {
+        return this.annotations
+    }
+}
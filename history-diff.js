@@ -0,0 +1,110 @@
+/**
+ * Text diffing helpers for comparing transcription versions.
+ * Produces a flat list of equal/insert/delete operations at word or character granularity.
+ *
+ * @module history-diff
+ * @author Research Computing Group
+ * @license MIT
+ */
+
+/**
+ * Split text into diffable tokens
+ * @param {String} text - The text to split
+ * @param {String} granularity - 'word' or 'char'
+ * @returns {Array<String>} Tokens; word tokens keep their whitespace runs so text can be rebuilt
+ */
+export function tokenize(text, granularity = 'word') {
+    if (!text) return []
+    if (granularity === 'char') return Array.from(text)
+    return text.match(/\s+|[^\s]+/g) ?? []
+}
+
+/**
+ * Compute the differences between two strings
+ * @param {String} oldText - The earlier text
+ * @param {String} newText - The later text
+ * @param {String} granularity - 'word' or 'char'
+ * @returns {Array<{type: String, value: String}>} Operations of type 'equal', 'insert' or 'delete'
+ */
+export function diffText(oldText, newText, granularity = 'word') {
+    const a = tokenize(oldText ?? '', granularity)
+    const b = tokenize(newText ?? '', granularity)
+
+    // Common prefix and suffix need no LCS work
+    let start = 0
+    while (start < a.length && start < b.length && a[start] === b[start]) start++
+    let endA = a.length
+    let endB = b.length
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--
+        endB--
+    }
+
+    const ops = []
+    push(ops, 'equal', a.slice(0, start))
+    lcsDiff(a.slice(start, endA), b.slice(start, endB)).forEach(op => push(ops, op.type, [op.value]))
+    push(ops, 'equal', a.slice(endA))
+    return ops
+}
+
+/**
+ * Whether a diff contains any insertions or deletions
+ * @param {Array<{type: String}>} ops - Operations from diffText
+ * @returns {Boolean} True if the texts differ
+ */
+export function hasChanges(ops) {
+    return ops.some(op => op.type !== 'equal')
+}
+
+/**
+ * Token-level diff using a longest common subsequence table
+ * @param {Array<String>} a - Earlier tokens
+ * @param {Array<String>} b - Later tokens
+ * @returns {Array<{type: String, value: String}>} One operation per token
+ */
+function lcsDiff(a, b) {
+    const rows = a.length + 1
+    const cols = b.length + 1
+    const table = new Uint32Array(rows * cols)
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            table[i * cols + j] = a[i] === b[j]
+                ? table[(i + 1) * cols + j + 1] + 1
+                : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1])
+        }
+    }
+
+    const ops = []
+    let i = 0
+    let j = 0
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            ops.push({ type: 'equal', value: a[i++] })
+            j++
+        } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+            ops.push({ type: 'delete', value: a[i++] })
+        } else {
+            ops.push({ type: 'insert', value: b[j++] })
+        }
+    }
+    while (i < a.length) ops.push({ type: 'delete', value: a[i++] })
+    while (j < b.length) ops.push({ type: 'insert', value: b[j++] })
+    return ops
+}
+
+/**
+ * Append tokens to the operation list, merging with the previous operation of the same type
+ * @param {Array<{type: String, value: String}>} ops - Operation list to extend
+ * @param {String} type - Operation type
+ * @param {Array<String>} tokens - Tokens to append
+ */
+function push(ops, type, tokens) {
+    if (tokens.length === 0) return
+    const value = tokens.join('')
+    const last = ops[ops.length - 1]
+    if (last?.type === type) {
+        last.value += value
+        return
+    }
+    ops.push({ type, value })
+}
@@ -0,0 +1,230 @@
+/**
+ * Export a line's revision history as JSON-LD, CSV or TEI.
+ * The component supplies accessors so this module stays independent of annotation shapes.
+ *
+ * @module history-export
+ * @author Research Computing Group
+ * @license MIT
+ */
+
+/**
+ * @typedef {Object} ExportAccessors
+ * @property {Function} getId - Returns a version's id
+ * @property {Function} getTimestamp - Returns a version's timestamp in milliseconds
+ * @property {Function} getText - Returns a version's text
+ * @property {Function} getBounding - Returns a version's {x, y, width, height} or null
+ * @property {Function} getContributor - Returns a version's {id, name}
+ * @property {Function} getCanvas - Returns the canvas a version targets, or null
+ */
+
+/**
+ * Supported formats with their media types and file extensions
+ */
+export const EXPORT_FORMATS = Object.freeze({
+    jsonld: { label: 'JSON-LD', mediaType: 'application/ld+json', extension: 'jsonld' },
+    csv: { label: 'CSV', mediaType: 'text/csv', extension: 'csv' },
+    tei: { label: 'TEI', mediaType: 'application/tei+xml', extension: 'xml' }
+})
+
+/**
+ * Serialize a line's history
+ * @param {String} format - 'jsonld', 'csv' or 'tei'
+ * @param {Array<Object>} items - Versions in any order
+ * @param {ExportAccessors} accessors - Field accessors
+ * @param {Object} [options]
+ * @param {String} [options.lineUri] - The id of the line as a whole
+ * @returns {String} The serialized history
+ */
+export function serializeHistory(format, items, accessors, { lineUri = null } = {}) {
+    const versions = chronological(items, accessors)
+    switch (format) {
+        case 'jsonld':
+            return toJSONLD(versions, accessors, lineUri)
+        case 'csv':
+            return toCSV(versions, accessors)
+        case 'tei':
+            return toTEI(versions, accessors, lineUri)
+        default:
+            throw new Error(`Unsupported export format: ${format}`)
+    }
+}
+
+/**
+ * Versions oldest first, each paired with the version it revised
+ * @param {Array<Object>} items - Versions in any order
+ * @param {ExportAccessors} accessors - Field accessors
+ * @returns {Array<{item: Object, number: Number, previousId: String|null}>} Numbered versions
+ */
+function chronological(items, { getId, getTimestamp }) {
+    const sorted = [...items].sort((a, b) => getTimestamp(a) - getTimestamp(b))
+    return sorted.map((item, index) => ({
+        item,
+        number: index + 1,
+        // Prefer the recorded predecessor so forks keep their real parent
+        previousId: item.__rerum?.history?.previous || (index > 0 ? getId(sorted[index - 1]) : null)
+    }))
+}
+
+/**
+ * ISO 8601 date for a timestamp
+ * @param {Number} timestamp - Milliseconds
+ * @returns {String} The date, or an empty string if unknown
+ */
+function isoDate(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString() : ''
+}
+
+/**
+ * Media fragment for a bounding box
+ * @param {Object|null} bounding - The bounding box
+ * @returns {String} 'x,y,w,h', or an empty string
+ */
+function xywh(bounding) {
+    return bounding ? `${bounding.x},${bounding.y},${bounding.width},${bounding.height}` : ''
+}
+
+/**
+ * Web Annotation collection with a PROV-O revision chain
+ * @param {Array<Object>} versions - Output of chronological()
+ * @param {ExportAccessors} accessors - Field accessors
+ * @param {String|null} lineUri - The id of the line
+ * @returns {String} JSON-LD
+ */
+function toJSONLD(versions, accessors, lineUri) {
+    const { getId, getTimestamp, getContributor } = accessors
+    const collection = {
+        '@context': [
+            'http://www.w3.org/ns/anno.jsonld',
+            {
+                prov: 'http://www.w3.org/ns/prov#',
+                wasRevisionOf: { '@id': 'prov:wasRevisionOf', '@type': '@id' },
+                generatedAtTime: { '@id': 'prov:generatedAtTime', '@type': 'xsd:dateTime' },
+                wasAttributedTo: { '@id': 'prov:wasAttributedTo', '@type': '@id' }
+            }
+        ],
+        type: 'AnnotationCollection',
+        label: `Revision history of ${lineUri ?? 'line'}`,
+        total: versions.length,
+        items: versions.map(({ item, previousId }) => {
+            const annotation = structuredClone(item)
+            // RERUM bookkeeping is restated below as provenance
+            delete annotation.__rerum
+            const contributor = getContributor(item)
+            const timestamp = getTimestamp(item)
+            return {
+                ...annotation,
+                ...(getId(item) && !annotation.id && !annotation['@id'] ? { id: getId(item) } : {}),
+                ...(previousId ? { wasRevisionOf: previousId } : {}),
+                ...(timestamp ? { generatedAtTime: isoDate(timestamp) } : {}),
+                ...(contributor.id !== 'unknown' ? { wasAttributedTo: contributor.id } : {})
+            }
+        })
+    }
+    if (lineUri) collection.id = `${lineUri}#history`
+    return JSON.stringify(collection, null, 2)
+}
+
+/**
+ * Quote a CSV field when needed
+ * @param {*} value - The field value
+ * @returns {String} The CSV field
+ */
+function csvField(value) {
+    const text = String(value ?? '')
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Keep user-entered text from being read as a spreadsheet formula
+ * @param {*} value - Text a contributor wrote
+ * @returns {String} The text, prefixed with an apostrophe if it starts with =, +, - or @
+ */
+function csvText(value) {
+    const text = String(value ?? '')
+    return /^[=+\-@]/.test(text) ? `'${text}` : text
+}
+
+/**
+ * One row per version: version, id, timestamp, author, text, xywh
+ * @param {Array<Object>} versions - Output of chronological()
+ * @param {ExportAccessors} accessors - Field accessors
+ * @returns {String} CSV with a header row
+ */
+function toCSV(versions, { getId, getTimestamp, getText, getBounding, getContributor }) {
+    const rows = versions.map(({ item, number }) => [
+        number,
+        getId(item) ?? '',
+        isoDate(getTimestamp(item)),
+        csvText(getContributor(item).name),
+        csvText(getText(item)),
+        xywh(getBounding(item))
+    ])
+    return [['version', 'id', 'timestamp', 'author', 'text', 'xywh'], ...rows]
+        .map(row => row.map(csvField).join(','))
+        .join('\r\n')
+}
+
+/**
+ * Escape text for XML content and attributes
+ * @param {*} value - The raw value
+ * @returns {String} The escaped value
+ */
+function xml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+}
+
+/**
+ * TEI document with each version as a <change> and the successive readings in an <app>
+ * @param {Array<Object>} versions - Output of chronological()
+ * @param {ExportAccessors} accessors - Field accessors
+ * @param {String|null} lineUri - The id of the line
+ * @returns {String} TEI XML
+ */
+function toTEI(versions, { getId, getTimestamp, getText, getBounding, getContributor, getCanvas }, lineUri) {
+    const changes = versions.map(({ item, number }) => {
+        const contributor = getContributor(item)
+        const when = isoDate(getTimestamp(item))
+        return `      <change xml:id="v${number}"${when ? ` when="${when}"` : ''}${contributor.id !== 'unknown' ? ` who="${xml(contributor.id)}"` : ''}${getId(item) ? ` corresp="${xml(getId(item))}"` : ''}>Version ${number} by ${xml(contributor.name)}</change>`
+    })
+
+    const readings = versions.map(({ item, number }) => {
+        const canvas = getCanvas(item)
+        const box = xywh(getBounding(item))
+        const facs = canvas ? ` facs="${xml(box ? `${canvas.split('#')[0]}#xywh=${box}` : canvas)}"` : ''
+        return `          <rdg varSeq="${number}" change="#v${number}"${facs}>${xml(getText(item))}</rdg>`
+    })
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<TEI xmlns="http://www.tei-c.org/ns/1.0">
+  <teiHeader>
+    <fileDesc>
+      <titleStmt>
+        <title>Revision history of ${xml(lineUri ?? 'a transcription line')}</title>
+      </titleStmt>
+      <publicationStmt>
+        <p>Exported from tpen-line-history on ${new Date().toISOString()}</p>
+      </publicationStmt>
+      <sourceDesc>
+        <p>${lineUri ? `<ref target="${xml(lineUri)}">${xml(lineUri)}</ref>` : 'TPEN transcription line'}</p>
+      </sourceDesc>
+    </fileDesc>
+    <revisionDesc>
+${changes.join('\n')}
+    </revisionDesc>
+  </teiHeader>
+  <text>
+    <body>
+      <ab${lineUri ? ` corresp="${xml(lineUri)}"` : ''}>
+        <app>
+${readings.join('\n')}
+        </app>
+      </ab>
+    </body>
+  </text>
+</TEI>
+`
+}
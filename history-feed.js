@@ -0,0 +1,96 @@
+/**
+ * Change feed helpers for page- and project-level history.
+ * Merges the histories of many lines into a single time-ordered list of changes.
+ *
+ * @module history-feed
+ * @author Research Computing Group
+ * @license MIT
+ */
+
+/**
+ * @typedef {Object} FeedEntry
+ * @property {Object} item - The version that was saved
+ * @property {Object|null} previous - The version it replaced, if any
+ * @property {Object} line - The current version of the line the change belongs to
+ * @property {Number} lineNumber - 1-based position of the line on its page
+ * @property {String|null} pageLabel - Label of the page the line is on
+ * @property {Number} timestamp - When the change was made, in milliseconds
+ */
+
+/**
+ * Parse a `since` attribute value
+ * @param {String|Number|null} since - An ISO date, a date string, or milliseconds
+ * @returns {Number} Milliseconds, or 0 if the value is missing or unparseable
+ */
+export function parseSince(since) {
+    if (since === null || since === undefined || since === '') return 0
+    if (typeof since === 'number') return since
+    if (/^\d+$/.test(since)) return Number(since)
+    const time = new Date(since).getTime()
+    return Number.isNaN(time) ? 0 : time
+}
+
+/**
+ * List the annotations on an AnnotationPage (Presentation 3) or AnnotationList (Presentation 2)
+ * @param {Object} page - The page document
+ * @returns {Array<Object|String>} Annotations or annotation ids, in page order
+ */
+export function pageAnnotations(page) {
+    return page?.items ?? page?.resources ?? []
+}
+
+/**
+ * Readable text for a IIIF label, which may be a plain string or a Presentation 3 language map
+ * @param {String|Object|null} label - The label
+ * @returns {String|null} The first label value
+ */
+export function labelText(label) {
+    if (!label) return null
+    if (typeof label === 'string') return label
+    return Object.values(label).flat()[0] ?? null
+}
+
+/**
+ * Build a change feed from the histories of several lines
+ * @param {Array<{line: Object, lineNumber: Number, pageLabel: String|null, history: Array<Object>}>} lines
+ *   Each line with its versions, newest first
+ * @param {Object} options
+ * @param {Function} options.getTimestamp - Returns a version's timestamp in milliseconds
+ * @param {Number} [options.since] - Only include changes at or after this time
+ * @returns {Array<FeedEntry>} Changes, newest first
+ */
+export function buildChangeFeed(lines, { getTimestamp, since = 0 }) {
+    const entries = lines.flatMap(({ line, lineNumber, pageLabel = null, history }) =>
+        history.map((item, index) => ({
+            item,
+            previous: history[index + 1] ?? null,
+            line,
+            lineNumber,
+            pageLabel,
+            timestamp: getTimestamp(item)
+        }))
+    )
+    return entries
+        .filter(entry => entry.timestamp >= since)
+        .sort((a, b) => b.timestamp - a.timestamp)
+}
+
+/**
+ * Run async tasks with limited concurrency
+ * @param {Array<*>} inputs - Values to process
+ * @param {Number} limit - Maximum tasks in flight
+ * @param {Function} task - Async function called with each input and its index
+ * @returns {Promise<Array<*>>} Results in input order
+ */
+export async function mapWithConcurrency(inputs, limit, task) {
+    const results = new Array(inputs.length)
+    let next = 0
+    const worker = async () => {
+        while (next < inputs.length) {
+            const index = next++
+            results[index] = await task(inputs[index], index)
+        }
+    }
+    await Promise.all(Array.from({ length: Math.min(limit, inputs.length) }, worker))
+    return results
+}
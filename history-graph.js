@@ -0,0 +1,64 @@
+/**
+ * Version graph helpers for RERUM history.
+ * Builds the tree of versions from the __rerum.history previous/next relationships
+ * so forks appear as branches rather than interleaved in a flat list.
+ *
+ * @module history-graph
+ * @author Research Computing Group
+ * @license MIT
+ */
+
+/**
+ * @typedef {Object} VersionNode
+ * @property {String} id - The version id
+ * @property {Object} item - The version object
+ * @property {VersionNode|null} parent - The version this one was derived from
+ * @property {Array<VersionNode>} children - Versions derived from this one, oldest first
+ * @property {Boolean} isBranchPoint - True if more than one version derives from this one
+ * @property {Boolean} isLeaf - True if no version derives from this one
+ */
+
+/**
+ * Build the version tree for a set of history items
+ * @param {Array<Object>} items - Version objects
+ * @param {Object} options
+ * @param {Function} options.getId - Returns the id of a version object
+ * @param {Function} [options.getTimestamp] - Returns a sortable timestamp for a version object
+ * @returns {{roots: Array<VersionNode>, nodes: Map<String, VersionNode>}} Root versions and all nodes by id
+ */
+export function buildVersionTree(items, { getId, getTimestamp = () => 0 }) {
+    const nodes = new Map()
+    for (const item of items) {
+        const id = getId(item)
+        if (!id || nodes.has(id)) continue
+        nodes.set(id, { id, item, parent: null, children: [], isBranchPoint: false, isLeaf: true })
+    }
+
+    const link = (parent, child) => {
+        if (!parent || !child || child.parent) return
+        // Refuse links that would make a cycle out of malformed history
+        for (let ancestor = parent; ancestor; ancestor = ancestor.parent) {
+            if (ancestor === child) return
+        }
+        child.parent = parent
+        parent.children.push(child)
+    }
+
+    for (const node of nodes.values()) {
+        const history = node.item?.__rerum?.history
+        link(nodes.get(history?.previous), node)
+        for (const nextId of [history?.next ?? []].flat()) {
+            link(node, nodes.get(nextId))
+        }
+    }
+
+    const byTime = (a, b) => getTimestamp(a.item) - getTimestamp(b.item)
+    for (const node of nodes.values()) {
+        node.children.sort(byTime)
+        node.isBranchPoint = node.children.length > 1
+        node.isLeaf = node.children.length === 0
+    }
+
+    const roots = [...nodes.values()].filter(node => !node.parent).sort(byTime)
+    return { roots, nodes }
+}
@@ -0,0 +1,90 @@
+/**
+ * Escaping HTML templates.
+ * Every value interpolated into an `html` template is escaped unless it is itself an `html`
+ * template or was explicitly marked with `trusted()`, so annotation data can never become markup.
+ *
+ * @module history-html
+ * @author Research Computing Group
+ * @license MIT
+ */
+
+/**
+ * Markup that is already safe to insert
+ */
+class SafeHTML {
+    /**
+     * @param {String} value - The markup
+     */
+    constructor(value) {
+        this.value = value
+    }
+
+    toString() {
+        return this.value
+    }
+}
+
+/**
+ * Escape a string for HTML text or a quoted attribute value
+ * @param {*} value - The raw value
+ * @returns {String} The escaped string
+ */
+export function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+}
+
+/**
+ * Mark a string of markup written by the component itself, such as its stylesheet, as safe.
+ * Never pass annotation data here.
+ * @param {String} markup - Trusted markup
+ * @returns {SafeHTML} The markup, unescaped
+ */
+export function trusted(markup) {
+    return new SafeHTML(String(markup))
+}
+
+/**
+ * Render one interpolated value
+ * @param {*} value - The value
+ * @returns {String} Markup
+ */
+function renderValue(value) {
+    if (value === null || value === undefined || value === false) return ''
+    if (value instanceof SafeHTML) return value.value
+    if (Array.isArray(value)) return value.map(renderValue).join('')
+    return escapeHtml(value)
+}
+
+/**
+ * Tagged template that escapes interpolated values.
+ * Nested templates and arrays of templates are inserted as markup; null, undefined and false render nothing.
+ * Interpolate attribute values only inside quotes.
+ * @param {Array<String>} strings - Template strings
+ * @param {...*} values - Interpolated values
+ * @returns {SafeHTML} The rendered markup
+ */
+export function html(strings, ...values) {
+    return new SafeHTML(strings.reduce((markup, string, i) => markup + renderValue(values[i - 1]) + string))
+}
+
+/**
+ * Allow only URLs that cannot run script when used in src or href
+ * @param {String} url - An untrusted URL
+ * @returns {String|null} The URL if it is http(s), blob, a data image, or relative; otherwise null
+ */
+export function safeUrl(url) {
+    if (typeof url !== 'string') return null
+    const trimmed = url.trim()
+    // Browsers ignore tabs, newlines and other control characters inside a scheme, so look past them
+    const compact = Array.from(trimmed).filter(char => char.charCodeAt(0) > 0x20).join('')
+    const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i)?.[1]?.toLowerCase()
+    if (!scheme) return trimmed
+    if (['http', 'https', 'blob'].includes(scheme)) return trimmed
+    if (scheme === 'data' && /^data:image\/(png|gif|jpe?g|webp);/i.test(trimmed)) return trimmed
+    return null
+}
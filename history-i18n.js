@@ -0,0 +1,588 @@
+/**
+ * Message catalog and locale-aware formatting for tpen-line-history.
+ * Messages are plain strings with {name} placeholders, or objects keyed by Intl.PluralRules
+ * category that are chosen by the `count` parameter. Missing messages fall back to English.
+ *
+ * @module history-i18n
+ * @author Research Computing Group
+ * @license MIT
+ */
+
+const en = {
+    lineHistory: 'Line History',
+    selectLine: 'Select a line to view its history',
+    currentVersion: 'Current Version',
+    versionN: 'Version {number}',
+    versionNOfTotal: 'Version {number} of {total}',
+    empty: '(empty)',
+    unknownDate: 'Unknown date',
+    unknownError: 'Unknown error',
+    unknownContributor: 'Unknown contributor',
+    cardLabel: '{version}, {date}, by {name}',
+    cardLoading: '{version}, loading',
+    versionsLabel: 'Versions, newest first. Use the arrow keys to move between versions',
+    diffAdded: 'added',
+    diffRemoved: 'removed',
+    imageBounding: 'Image Bounding',
+    changed: 'CHANGED',
+    movedCanvas: 'MOVED TO ANOTHER CANVAS',
+    compareOnImage: 'Compare on page image',
+    compare: 'Compare',
+    lineImagePreview: 'Line Image Preview',
+    missingIIIF: 'Missing IIIF context (manifest/canvas)',
+    missingLineId: 'Missing line ID for TPEN image component',
+    noBounding: 'No bounding box',
+    boundingAdded: 'added',
+    boundingRemoved: 'removed',
+    unchanged: 'unchanged',
+    baseline: 'baseline',
+    versionComparison: 'Version comparison',
+    compareVersions: 'Compare Versions',
+    compareFrom: 'Compare from',
+    compareTo: 'Compare to',
+    swapVersions: 'Swap versions',
+    close: 'Close',
+    textChanges: 'Text changes',
+    boundingChange: 'Bounding change',
+    polygonLabel: { one: 'Polygon selector, {count} point', other: 'Polygon selector, {count} points' },
+    motivation: 'Motivation',
+    language: 'Language',
+    format: 'Format',
+    tag: 'Tag',
+    tags: 'Tags',
+    comments: 'Comments',
+    selector: 'Selector',
+    polygon: 'Polygon',
+    canvas: 'Canvas',
+    annotationChanges: 'Annotation changes',
+    polygonAdded: { one: 'added ({count} point)', other: 'added ({count} points)' },
+    polygonRemoved: 'removed',
+    polygonReshaped: 'reshaped ({from} → {to} points)',
+    reordered: 'reordered',
+    none: '(none)',
+    boundingComparison: 'Bounding Comparison',
+    boundingComparisonLabel: 'Bounding box comparison',
+    overlayImageLabel: "Selected versions' bounding boxes on the page image",
+    loadingPageImage: 'Loading page image…',
+    pageImageUnavailable: 'Page image unavailable; showing boxes only',
+    clear: 'Clear',
+    loadingLineHistory: 'Loading line history',
+    loadHistoryFailed: 'Could not load line history',
+    retry: 'Retry',
+    pageChanges: 'Page Changes',
+    projectChanges: 'Project Changes',
+    loadingPageHistory: 'Loading page history…',
+    loadingProjectHistory: 'Loading project history…',
+    loadPageHistoryFailed: 'Could not load page history',
+    loadProjectHistoryFailed: 'Could not load project history',
+    noChanges: 'No changes',
+    noChangesInPeriod: 'No changes in this period',
+    changeCount: { one: '{count} change', other: '{count} changes' },
+    changeCountSince: { one: '{count} change since {date}', other: '{count} changes since {date}' },
+    lineN: 'Line {number}',
+    openLine: 'Open line',
+    backToPageChanges: '← Back to page changes',
+    backToProjectChanges: '← Back to project changes',
+    filterByContributor: 'Filter by contributor',
+    contributorCount: { one: '{count} contributor', other: '{count} contributors' },
+    editCount: { one: '{count} edit', other: '{count} edits' },
+    showAll: 'Show all',
+    branchPoint: { one: 'Branch point · {count} fork', other: 'Branch point · {count} forks' },
+    leaf: 'Leaf',
+    continuesOlder: 'Continues in older versions',
+    separateRoot: 'Separate root',
+    timeline: 'Timeline',
+    play: 'Play',
+    pause: 'Pause',
+    scrubVersions: 'Scrub through versions',
+    boundingAsOf: 'Bounding box as of this version',
+    loadingOlder: 'Loading older versions…',
+    showingVersions: 'Showing {shown} of {total} versions',
+    loadOlder: 'Load older versions',
+    loadOlderFailed: 'Could not load older versions: {message}',
+    restoring: 'Restoring…',
+    restorePrompt: 'Save this text and bounding as a new version of the line?',
+    restore: 'Restore',
+    cancel: 'Cancel',
+    restoreVersion: 'Restore this version',
+    restoreFailed: 'Restore failed: {message}',
+    checkingNewer: 'Checking for newer versions…',
+    view: 'View',
+    list: 'List',
+    graph: 'Graph',
+    diffGranularity: 'Diff granularity',
+    words: 'Words',
+    characters: 'Characters',
+    export: 'Export',
+    review: 'Review',
+    reviews: 'Reviews',
+    approveAction: 'Approve',
+    flagAction: 'Flag',
+    commentAction: 'Comment',
+    approved: 'Approved',
+    flagged: 'Flagged',
+    commentPlaceholder: 'Add a comment',
+    flagPlaceholder: 'What is wrong with this version?',
+    saveReview: 'Save',
+    reviewSaving: 'Saving review…',
+    reviewFailed: 'Could not save review: {message}',
+    unreviewedOnly: 'Unreviewed only',
+    announceApproved: '{version} approved',
+    announceFlagged: '{version} flagged',
+    announceComment: 'Comment added to {version}',
+    changeCreated: 'Created',
+    changeText: 'Text',
+    changeGeometry: 'Geometry',
+    changeBoth: 'Text and geometry',
+    changeBlanked: 'Blanked',
+    changeRewrite: 'Rewritten',
+    changeRevert: 'Reverted',
+    changeUnchanged: 'No change',
+    countCreated: '{count} created',
+    countText: '{count} text',
+    countGeometry: '{count} geometry',
+    countBoth: '{count} text and geometry',
+    countBlanked: '{count} blanked',
+    countRewrite: '{count} rewritten',
+    countRevert: '{count} reverted',
+    countUnchanged: '{count} unchanged',
+    historySummary: { one: '{count} version: {kinds}', other: '{count} versions: {kinds}' },
+    anomalyHint: 'Unusual change: check for vandalism or an accidental wipe',
+    versionNotFound: 'Version not found',
+    versionNotFoundMessage: 'This line has no version {version}. Showing its latest versions instead.',
+    projectLoadFailed: 'Could not load the project',
+    projectLoadFailedMessage: 'The history is shown without the project {project}: {message}',
+    boundingValues: 'x: {x}, y: {y}, width: {width}, height: {height}',
+    boundingX: 'x',
+    boundingY: 'y',
+    boundingWidth: 'width',
+    boundingHeight: 'height',
+    announceHistory: {
+        one: 'Line history: {count} version. Current text: {text}',
+        other: 'Line history: {count} versions. Current text: {text}'
+    },
+    announceNewVersion: 'New version by {name}: {text}'
+}
+
+const es = {
+    lineHistory: 'Historial de la línea',
+    selectLine: 'Seleccione una línea para ver su historial',
+    currentVersion: 'Versión actual',
+    versionN: 'Versión {number}',
+    versionNOfTotal: 'Versión {number} de {total}',
+    empty: '(vacía)',
+    unknownDate: 'Fecha desconocida',
+    unknownError: 'Error desconocido',
+    unknownContributor: 'Colaborador desconocido',
+    cardLabel: '{version}, {date}, por {name}',
+    cardLoading: '{version}, cargando',
+    versionsLabel: 'Versiones, de la más reciente a la más antigua. Use las flechas para moverse entre versiones',
+    diffAdded: 'añadido',
+    diffRemoved: 'eliminado',
+    imageBounding: 'Recuadro en la imagen',
+    changed: 'CAMBIADO',
+    movedCanvas: 'MOVIDA A OTRO LIENZO',
+    compareOnImage: 'Comparar sobre la imagen de la página',
+    compare: 'Comparar',
+    lineImagePreview: 'Vista previa de la línea',
+    missingIIIF: 'Falta el contexto IIIF (manifiesto/lienzo)',
+    missingLineId: 'Falta el ID de la línea para el componente de imagen de TPEN',
+    noBounding: 'Sin recuadro',
+    boundingAdded: 'añadido',
+    boundingRemoved: 'eliminado',
+    unchanged: 'sin cambios',
+    baseline: 'referencia',
+    versionComparison: 'Comparación de versiones',
+    compareVersions: 'Comparar versiones',
+    compareFrom: 'Comparar desde',
+    compareTo: 'Comparar con',
+    swapVersions: 'Intercambiar versiones',
+    close: 'Cerrar',
+    textChanges: 'Cambios en el texto',
+    boundingChange: 'Cambio del recuadro',
+    polygonLabel: { one: 'Selector de polígono, {count} punto', other: 'Selector de polígono, {count} puntos' },
+    motivation: 'Motivación',
+    language: 'Idioma',
+    format: 'Formato',
+    tag: 'Etiqueta',
+    tags: 'Etiquetas',
+    comments: 'Comentarios',
+    selector: 'Selector',
+    polygon: 'Polígono',
+    canvas: 'Lienzo',
+    annotationChanges: 'Cambios en la anotación',
+    polygonAdded: { one: 'añadido ({count} punto)', other: 'añadido ({count} puntos)' },
+    polygonRemoved: 'eliminado',
+    polygonReshaped: 'modificado ({from} → {to} puntos)',
+    reordered: 'reordenado',
+    none: '(ninguno)',
+    boundingComparison: 'Comparación de recuadros',
+    boundingComparisonLabel: 'Comparación de recuadros',
+    overlayImageLabel: 'Recuadros de las versiones seleccionadas sobre la imagen de la página',
+    loadingPageImage: 'Cargando la imagen de la página…',
+    pageImageUnavailable: 'Imagen de la página no disponible; solo se muestran los recuadros',
+    clear: 'Borrar',
+    loadingLineHistory: 'Cargando el historial de la línea',
+    loadHistoryFailed: 'No se pudo cargar el historial de la línea',
+    retry: 'Reintentar',
+    pageChanges: 'Cambios en la página',
+    projectChanges: 'Cambios en el proyecto',
+    loadingPageHistory: 'Cargando el historial de la página…',
+    loadingProjectHistory: 'Cargando el historial del proyecto…',
+    loadPageHistoryFailed: 'No se pudo cargar el historial de la página',
+    loadProjectHistoryFailed: 'No se pudo cargar el historial del proyecto',
+    noChanges: 'Sin cambios',
+    noChangesInPeriod: 'Sin cambios en este periodo',
+    changeCount: { one: '{count} cambio', other: '{count} cambios' },
+    changeCountSince: { one: '{count} cambio desde {date}', other: '{count} cambios desde {date}' },
+    lineN: 'Línea {number}',
+    openLine: 'Abrir línea',
+    backToPageChanges: '← Volver a los cambios de la página',
+    backToProjectChanges: '← Volver a los cambios del proyecto',
+    filterByContributor: 'Filtrar por colaborador',
+    contributorCount: { one: '{count} colaborador', other: '{count} colaboradores' },
+    editCount: { one: '{count} edición', other: '{count} ediciones' },
+    showAll: 'Mostrar todo',
+    branchPoint: { one: 'Bifurcación · {count} rama', other: 'Bifurcación · {count} ramas' },
+    leaf: 'Hoja',
+    continuesOlder: 'Continúa en versiones anteriores',
+    separateRoot: 'Raíz independiente',
+    timeline: 'Cronología',
+    play: 'Reproducir',
+    pause: 'Pausa',
+    scrubVersions: 'Recorrer las versiones',
+    boundingAsOf: 'Recuadro en esta versión',
+    loadingOlder: 'Cargando versiones anteriores…',
+    showingVersions: 'Mostrando {shown} de {total} versiones',
+    loadOlder: 'Cargar versiones anteriores',
+    loadOlderFailed: 'No se pudieron cargar las versiones anteriores: {message}',
+    restoring: 'Restaurando…',
+    restorePrompt: '¿Guardar este texto y recuadro como una nueva versión de la línea?',
+    restore: 'Restaurar',
+    cancel: 'Cancelar',
+    restoreVersion: 'Restaurar esta versión',
+    restoreFailed: 'No se pudo restaurar: {message}',
+    checkingNewer: 'Buscando versiones más recientes…',
+    view: 'Vista',
+    list: 'Lista',
+    graph: 'Grafo',
+    diffGranularity: 'Nivel de detalle de las diferencias',
+    words: 'Palabras',
+    characters: 'Caracteres',
+    export: 'Exportar',
+    review: 'Revisión',
+    reviews: 'Revisiones',
+    approveAction: 'Aprobar',
+    flagAction: 'Marcar',
+    commentAction: 'Comentar',
+    approved: 'Aprobada',
+    flagged: 'Marcada',
+    commentPlaceholder: 'Añada un comentario',
+    flagPlaceholder: '¿Qué está mal en esta versión?',
+    saveReview: 'Guardar',
+    reviewSaving: 'Guardando la revisión…',
+    reviewFailed: 'No se pudo guardar la revisión: {message}',
+    unreviewedOnly: 'Solo sin revisar',
+    announceApproved: '{version} aprobada',
+    announceFlagged: '{version} marcada',
+    announceComment: 'Comentario añadido a {version}',
+    changeCreated: 'Creada',
+    changeText: 'Texto',
+    changeGeometry: 'Geometría',
+    changeBoth: 'Texto y geometría',
+    changeBlanked: 'Vaciada',
+    changeRewrite: 'Reescrita',
+    changeRevert: 'Revertida',
+    changeUnchanged: 'Sin cambios',
+    countCreated: '{count} creada',
+    countText: '{count} de texto',
+    countGeometry: '{count} de geometría',
+    countBoth: '{count} de texto y geometría',
+    countBlanked: { one: '{count} vaciada', other: '{count} vaciadas' },
+    countRewrite: { one: '{count} reescrita', other: '{count} reescritas' },
+    countRevert: { one: '{count} revertida', other: '{count} revertidas' },
+    countUnchanged: '{count} sin cambios',
+    historySummary: { one: '{count} versión: {kinds}', other: '{count} versiones: {kinds}' },
+    anomalyHint: 'Cambio inusual: compruebe si es vandalismo o un borrado accidental',
+    versionNotFound: 'Versión no encontrada',
+    versionNotFoundMessage: 'Esta línea no tiene la versión {version}. Se muestran sus versiones más recientes.',
+    projectLoadFailed: 'No se pudo cargar el proyecto',
+    projectLoadFailedMessage: 'El historial se muestra sin el proyecto {project}: {message}',
+    boundingValues: 'x: {x}, y: {y}, ancho: {width}, alto: {height}',
+    boundingX: 'x',
+    boundingY: 'y',
+    boundingWidth: 'ancho',
+    boundingHeight: 'alto',
+    announceHistory: {
+        one: 'Historial de la línea: {count} versión. Texto actual: {text}',
+        other: 'Historial de la línea: {count} versiones. Texto actual: {text}'
+    },
+    announceNewVersion: 'Nueva versión de {name}: {text}'
+}
+
+const de = {
+    lineHistory: 'Zeilenverlauf',
+    selectLine: 'Wählen Sie eine Zeile aus, um ihren Verlauf zu sehen',
+    currentVersion: 'Aktuelle Version',
+    versionN: 'Version {number}',
+    versionNOfTotal: 'Version {number} von {total}',
+    empty: '(leer)',
+    unknownDate: 'Unbekanntes Datum',
+    unknownError: 'Unbekannter Fehler',
+    unknownContributor: 'Unbekannte Person',
+    cardLabel: '{version}, {date}, von {name}',
+    cardLoading: '{version}, wird geladen',
+    versionsLabel: 'Versionen, neueste zuerst. Mit den Pfeiltasten zwischen Versionen wechseln',
+    diffAdded: 'hinzugefügt',
+    diffRemoved: 'entfernt',
+    imageBounding: 'Bildausschnitt',
+    changed: 'GEÄNDERT',
+    movedCanvas: 'AUF ANDERE CANVAS VERSCHOBEN',
+    compareOnImage: 'Auf dem Seitenbild vergleichen',
+    compare: 'Vergleichen',
+    lineImagePreview: 'Zeilenvorschau',
+    missingIIIF: 'IIIF-Kontext fehlt (Manifest/Canvas)',
+    missingLineId: 'Zeilen-ID für die TPEN-Bildkomponente fehlt',
+    noBounding: 'Kein Ausschnitt',
+    boundingAdded: 'hinzugefügt',
+    boundingRemoved: 'entfernt',
+    unchanged: 'unverändert',
+    baseline: 'Ausgangspunkt',
+    versionComparison: 'Versionsvergleich',
+    compareVersions: 'Versionen vergleichen',
+    compareFrom: 'Vergleichen von',
+    compareTo: 'Vergleichen mit',
+    swapVersions: 'Versionen tauschen',
+    close: 'Schließen',
+    textChanges: 'Textänderungen',
+    boundingChange: 'Änderung des Ausschnitts',
+    polygonLabel: { one: 'Polygon-Selektor, {count} Punkt', other: 'Polygon-Selektor, {count} Punkte' },
+    motivation: 'Motivation',
+    language: 'Sprache',
+    format: 'Format',
+    tag: 'Schlagwort',
+    tags: 'Schlagwörter',
+    comments: 'Kommentare',
+    selector: 'Selektor',
+    polygon: 'Polygon',
+    canvas: 'Canvas',
+    annotationChanges: 'Änderungen der Annotation',
+    polygonAdded: { one: 'hinzugefügt ({count} Punkt)', other: 'hinzugefügt ({count} Punkte)' },
+    polygonRemoved: 'entfernt',
+    polygonReshaped: 'umgeformt ({from} → {to} Punkte)',
+    reordered: 'neu geordnet',
+    none: '(keine)',
+    boundingComparison: 'Ausschnittsvergleich',
+    boundingComparisonLabel: 'Vergleich der Ausschnitte',
+    overlayImageLabel: 'Ausschnitte der gewählten Versionen auf dem Seitenbild',
+    loadingPageImage: 'Seitenbild wird geladen…',
+    pageImageUnavailable: 'Seitenbild nicht verfügbar; nur Ausschnitte werden gezeigt',
+    clear: 'Leeren',
+    loadingLineHistory: 'Zeilenverlauf wird geladen',
+    loadHistoryFailed: 'Zeilenverlauf konnte nicht geladen werden',
+    retry: 'Erneut versuchen',
+    pageChanges: 'Änderungen der Seite',
+    projectChanges: 'Änderungen im Projekt',
+    loadingPageHistory: 'Seitenverlauf wird geladen…',
+    loadingProjectHistory: 'Projektverlauf wird geladen…',
+    loadPageHistoryFailed: 'Seitenverlauf konnte nicht geladen werden',
+    loadProjectHistoryFailed: 'Projektverlauf konnte nicht geladen werden',
+    noChanges: 'Keine Änderungen',
+    noChangesInPeriod: 'Keine Änderungen in diesem Zeitraum',
+    changeCount: { one: '{count} Änderung', other: '{count} Änderungen' },
+    changeCountSince: { one: '{count} Änderung seit {date}', other: '{count} Änderungen seit {date}' },
+    lineN: 'Zeile {number}',
+    openLine: 'Zeile öffnen',
+    backToPageChanges: '← Zurück zu den Änderungen der Seite',
+    backToProjectChanges: '← Zurück zu den Änderungen im Projekt',
+    filterByContributor: 'Nach Person filtern',
+    contributorCount: { one: '{count} Person', other: '{count} Personen' },
+    editCount: { one: '{count} Bearbeitung', other: '{count} Bearbeitungen' },
+    showAll: 'Alle zeigen',
+    branchPoint: { one: 'Verzweigung · {count} Zweig', other: 'Verzweigung · {count} Zweige' },
+    leaf: 'Blatt',
+    continuesOlder: 'Wird in älteren Versionen fortgesetzt',
+    separateRoot: 'Eigene Wurzel',
+    timeline: 'Zeitleiste',
+    play: 'Abspielen',
+    pause: 'Pause',
+    scrubVersions: 'Durch die Versionen blättern',
+    boundingAsOf: 'Ausschnitt in dieser Version',
+    loadingOlder: 'Ältere Versionen werden geladen…',
+    showingVersions: '{shown} von {total} Versionen',
+    loadOlder: 'Ältere Versionen laden',
+    loadOlderFailed: 'Ältere Versionen konnten nicht geladen werden: {message}',
+    restoring: 'Wird wiederhergestellt…',
+    restorePrompt: 'Diesen Text und Ausschnitt als neue Version der Zeile speichern?',
+    restore: 'Wiederherstellen',
+    cancel: 'Abbrechen',
+    restoreVersion: 'Diese Version wiederherstellen',
+    restoreFailed: 'Wiederherstellen fehlgeschlagen: {message}',
+    checkingNewer: 'Suche nach neueren Versionen…',
+    view: 'Ansicht',
+    list: 'Liste',
+    graph: 'Graph',
+    diffGranularity: 'Genauigkeit des Vergleichs',
+    words: 'Wörter',
+    characters: 'Zeichen',
+    export: 'Exportieren',
+    review: 'Prüfung',
+    reviews: 'Prüfungen',
+    approveAction: 'Freigeben',
+    flagAction: 'Markieren',
+    commentAction: 'Kommentieren',
+    approved: 'Freigegeben',
+    flagged: 'Markiert',
+    commentPlaceholder: 'Kommentar hinzufügen',
+    flagPlaceholder: 'Was ist an dieser Version falsch?',
+    saveReview: 'Speichern',
+    reviewSaving: 'Prüfung wird gespeichert…',
+    reviewFailed: 'Prüfung konnte nicht gespeichert werden: {message}',
+    unreviewedOnly: 'Nur ungeprüfte',
+    announceApproved: '{version} freigegeben',
+    announceFlagged: '{version} markiert',
+    announceComment: 'Kommentar zu {version} hinzugefügt',
+    changeCreated: 'Erstellt',
+    changeText: 'Text',
+    changeGeometry: 'Geometrie',
+    changeBoth: 'Text und Geometrie',
+    changeBlanked: 'Geleert',
+    changeRewrite: 'Umgeschrieben',
+    changeRevert: 'Zurückgesetzt',
+    changeUnchanged: 'Keine Änderung',
+    countCreated: '{count} erstellt',
+    countText: '{count} Text',
+    countGeometry: '{count} Geometrie',
+    countBoth: '{count} Text und Geometrie',
+    countBlanked: '{count} geleert',
+    countRewrite: '{count} umgeschrieben',
+    countRevert: '{count} zurückgesetzt',
+    countUnchanged: '{count} unverändert',
+    historySummary: { one: '{count} Version: {kinds}', other: '{count} Versionen: {kinds}' },
+    anomalyHint: 'Ungewöhnliche Änderung: auf Vandalismus oder versehentliches Löschen prüfen',
+    versionNotFound: 'Version nicht gefunden',
+    versionNotFoundMessage: 'Diese Zeile hat keine Version {version}. Stattdessen werden die neuesten Versionen angezeigt.',
+    projectLoadFailed: 'Projekt konnte nicht geladen werden',
+    projectLoadFailedMessage: 'Der Verlauf wird ohne das Projekt {project} angezeigt: {message}',
+    boundingValues: 'x: {x}, y: {y}, Breite: {width}, Höhe: {height}',
+    boundingX: 'x',
+    boundingY: 'y',
+    boundingWidth: 'Breite',
+    boundingHeight: 'Höhe',
+    announceHistory: {
+        one: 'Zeilenverlauf: {count} Version. Aktueller Text: {text}',
+        other: 'Zeilenverlauf: {count} Versionen. Aktueller Text: {text}'
+    },
+    announceNewVersion: 'Neue Version von {name}: {text}'
+}
+
+/**
+ * Catalogs by language tag. Add languages with registerMessages().
+ */
+export const MESSAGES = { en, es, de }
+
+// Scripts written right to left, by primary language subtag
+const RTL_LANGUAGES = new Set(['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'iw', 'ps', 'syr', 'ug', 'ur', 'yi'])
+
+const formatters = new Map()
+
+/**
+ * Add or extend the catalog for a language
+ * @param {String} locale - A language tag such as 'fr' or 'pt-BR'
+ * @param {Object} messages - Messages by key; missing keys fall back to English
+ */
+export function registerMessages(locale, messages) {
+    MESSAGES[locale] = { ...MESSAGES[locale], ...messages }
+}
+
+/**
+ * The catalog locale that best matches a language tag
+ * @param {String} locale - A language tag such as 'es-MX'
+ * @returns {String} 'es-MX' if registered, otherwise 'es', otherwise 'en'
+ */
+export function resolveLocale(locale) {
+    if (locale && MESSAGES[locale]) return locale
+    const language = String(locale ?? '').split('-')[0].toLowerCase()
+    return MESSAGES[language] ? language : 'en'
+}
+
+/**
+ * Create an Intl formatter once per locale and options, falling back to English for invalid tags
+ * @param {Function} Formatter - An Intl constructor
+ * @param {String} locale - The language tag
+ * @param {Object} options - Formatter options
+ * @returns {Object} The formatter
+ */
+function formatter(Formatter, locale, options) {
+    const key = `${Formatter.name}|${locale}|${JSON.stringify(options)}`
+    if (!formatters.has(key)) {
+        let instance
+        try {
+            instance = new Formatter(locale, options)
+        } catch {
+            instance = new Formatter('en', options)
+        }
+        formatters.set(key, instance)
+    }
+    return formatters.get(key)
+}
+
+/**
+ * Look up and fill in a message
+ * @param {String} locale - The language tag
+ * @param {String} key - The message key
+ * @param {Object} [params] - Placeholder values; `count` also chooses the plural form
+ * @returns {String} The message, or the key if no catalog has it
+ */
+export function translate(locale, key, params = {}) {
+    let message = MESSAGES[resolveLocale(locale)][key] ?? en[key] ?? key
+    if (typeof message === 'object') {
+        const category = formatter(Intl.PluralRules, locale, {}).select(params.count ?? 0)
+        message = message[category] ?? message.other
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder))
+}
+
+/**
+ * Whether a language is written right to left
+ * @param {String} locale - A language tag
+ * @returns {Boolean} True for Arabic, Hebrew and other right-to-left scripts
+ */
+export function isRightToLeft(locale) {
+    return RTL_LANGUAGES.has(String(locale ?? '').split('-')[0].toLowerCase())
+}
+
+/**
+ * Format a date and time
+ * @param {Number} timestamp - Milliseconds
+ * @param {String} locale - The language tag
+ * @returns {String} E.g. "15 ene 2025, 10:30"
+ */
+export function formatDate(timestamp, locale) {
+    return formatter(Intl.DateTimeFormat, locale, { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(timestamp))
+}
+
+/**
+ * Join items into a list, such as "4 text, 2 geometry, 1 blanked"
+ * @param {Array<String>} items - The items
+ * @param {String} locale - The language tag
+ * @returns {String} The list, separated the way the language separates units
+ */
+export function formatList(items, locale) {
+    return formatter(Intl.ListFormat, locale, { style: 'short', type: 'unit' }).format(items)
+}
+
+/**
+ * Format how long ago a moment was
+ * @param {Number} timestamp - Milliseconds
+ * @param {String} locale - The language tag
+ * @param {Number} [now] - The current time in milliseconds
+ * @returns {String} E.g. "hace 3 días", "vor 2 Stunden", "now"
+ */
+export function formatRelativeTime(timestamp, locale, now = Date.now()) {
+    const seconds = Math.round((timestamp - now) / 1000)
+    const units = [['year', 31536000], ['month', 2592000], ['day', 86400], ['hour', 3600], ['minute', 60]]
+    const [unit, size] = units.find(([, length]) => Math.abs(seconds) >= length) ?? ['second', 1]
+    const value = unit === 'second' ? 0 : Math.trunc(seconds / size)
+    return formatter(Intl.RelativeTimeFormat, locale, { numeric: 'auto' }).format(value, unit)
+}
@@ -0,0 +1,110 @@
+/**
+ * Helpers for the bounding-box overlay view.
+ * Resolves a canvas's image from a IIIF manifest and describes how boxes moved between versions.
+ *
+ * @module history-overlay
+ * @author Research Computing Group
+ * @license MIT
+ */
+
+import { translate } from './history-i18n.js'
+
+/**
+ * Colors assigned to overlaid versions, in selection order
+ */
+export const OVERLAY_COLORS = ['#e53935', '#1e88e5', '#43a047', '#fb8c00', '#8e24aa', '#00acc1', '#6d4c41', '#d81b60']
+
+/**
+ * @typedef {Object} CanvasImage
+ * @property {String} canvas - The canvas id
+ * @property {String|null} image - The image URL, if the canvas has one
+ * @property {Number|null} width - Canvas width in canvas coordinates
+ * @property {Number|null} height - Canvas height in canvas coordinates
+ */
+
+/**
+ * Find a canvas's painting image in a IIIF Presentation 2 or 3 manifest or a bare canvas
+ * @param {Object} resource - A manifest or canvas JSON document
+ * @param {String} canvasId - The canvas id to look for
+ * @returns {CanvasImage|null} The canvas image, or null if the canvas is not in the resource
+ */
+export function findCanvasImage(resource, canvasId) {
+    const canvases = [
+        resource,
+        ...(resource?.items ?? []),
+        ...(resource?.sequences ?? []).flatMap(sequence => sequence?.canvases ?? [])
+    ]
+    const canvas = canvases.find(c => sameId(c?.id ?? c?.['@id'], canvasId) && /canvas/i.test(c?.type ?? c?.['@type'] ?? ''))
+    if (!canvas) return null
+
+    // Presentation 3: Canvas > AnnotationPage > Annotation > body; Presentation 2: images > resource
+    const body = canvas.items?.[0]?.items?.[0]?.body ?? canvas.images?.[0]?.resource
+    const image = [body].flat()[0]
+    return {
+        canvas: canvasId,
+        image: image?.id ?? image?.['@id'] ?? null,
+        width: canvas.width ?? null,
+        height: canvas.height ?? null
+    }
+}
+
+/**
+ * Compare ids, ignoring any fragment such as #xywh=
+ * @param {String} a - First id
+ * @param {String} b - Second id
+ * @returns {Boolean} True if both name the same resource
+ */
+function sameId(a, b) {
+    if (!a || !b) return false
+    return a.split('#')[0] === b.split('#')[0]
+}
+
+/**
+ * Numeric changes between two bounding boxes
+ * @param {Object} from - The earlier box
+ * @param {Object} to - The later box
+ * @returns {Array<{key: String, delta: Number}>} Changed dimensions, omitting those that did not move
+ */
+export function boundingDelta(from, to) {
+    if (!from || !to) return []
+    return ['x', 'y', 'width', 'height']
+        .map(key => ({ key, delta: to[key] - from[key] }))
+        .filter(({ delta }) => delta !== 0 && !Number.isNaN(delta))
+}
+
+// Message keys of the dimension labels
+const DIMENSION_LABELS = { x: 'boundingX', y: 'boundingY', width: 'boundingWidth', height: 'boundingHeight' }
+
+/**
+ * Describe a bounding delta, e.g. "y +12, height −8"
+ * @param {Array<{key: String, delta: Number}>} delta - Output of boundingDelta()
+ * @param {String} [locale] - Language of the dimension labels
+ * @returns {String} The description, or an empty string if nothing moved
+ */
+export function formatBoundingDelta(delta, locale = 'en') {
+    return delta.map(({ key, delta: d }) => `${translate(locale, DIMENSION_LABELS[key])} ${d > 0 ? '+' : '−'}${Math.abs(d)}`).join(', ')
+}
+
+/**
+ * A view box around a set of bounding boxes, padded so the surrounding page is visible
+ * @param {Array<Object>} boxes - Bounding boxes with x, y, width and height
+ * @param {Object} [canvas] - Canvas width and height to clamp to
+ * @returns {{x: Number, y: Number, width: Number, height: Number}|null} The view box, or null with no boxes
+ */
+export function overlayViewBox(boxes, canvas = {}) {
+    if (boxes.length === 0) return null
+    const left = Math.min(...boxes.map(box => box.x))
+    const top = Math.min(...boxes.map(box => box.y))
+    const right = Math.max(...boxes.map(box => box.x + box.width))
+    const bottom = Math.max(...boxes.map(box => box.y + box.height))
+    const pad = Math.max(bottom - top, (right - left) * 0.05, 20)
+
+    const x = Math.max(0, left - pad)
+    const y = Math.max(0, top - pad)
+    return {
+        x,
+        y,
+        width: Math.min(canvas.width ?? Infinity, right + pad) - x,
+        height: Math.min(canvas.height ?? Infinity, bottom + pad) - y
+    }
+}
@@ -0,0 +1,127 @@
+/**
+ * Keyed DOM patching.
+ * Brings an element's children in line with new markup while reusing existing nodes, so a
+ * re-render keeps unchanged cards, their line images, focus and open menus instead of rebuilding them.
+ * Children with a data-key attribute are matched by key; others are matched in order by tag name.
+ * A wanted child with both data-key and data-keep stands for a live child that has not changed: the live
+ * child is kept as is, without parsing or comparing its content. If there is no such live child, the
+ * markup from the `kept` option is used instead.
+ *
+ * @module history-patch
+ * @author Research Computing Group
+ * @license MIT
+ */
+
+/**
+ * Update an element's children to match a string of markup
+ * @param {Element} parent - The element to patch
+ * @param {String} markup - The markup its children should match
+ * @param {Object} [options]
+ * @param {Function} [options.kept] - Returns the full markup of a data-keep child by key
+ */
+export function patchChildren(parent, markup, { kept = () => '' } = {}) {
+    const template = parent.ownerDocument.createElement('template')
+    template.innerHTML = markup
+    morphChildren(parent, template.content, kept)
+}
+
+/**
+ * Parse the full markup of a data-keep child that has no live counterpart
+ * @param {Element} stub - The data-keep child
+ * @param {Function} kept - Returns the full markup by key
+ * @returns {Node} The parsed child, or the stub without data-keep if there is no markup
+ */
+function expandKept(stub, kept) {
+    const template = stub.ownerDocument.createElement('template')
+    template.innerHTML = kept(keyOf(stub)) ?? ''
+    const node = template.content.firstElementChild
+    if (node) return node
+    stub.removeAttribute('data-keep')
+    return stub
+}
+
+/**
+ * The key of a node, if it has one
+ * @param {Node} node - The node
+ * @returns {String|null} The data-key attribute
+ */
+function keyOf(node) {
+    return node.nodeType === Node.ELEMENT_NODE ? node.getAttribute('data-key') : null
+}
+
+/**
+ * Reconcile the children of one node with those of another
+ * @param {Node} from - The live node
+ * @param {Node} to - The node holding the wanted children
+ * @param {Function} kept - Returns the full markup of a data-keep child by key
+ */
+function morphChildren(from, to, kept) {
+    const existing = [...from.childNodes]
+    const keyed = new Map()
+    // Unkeyed nodes queued by name, matched first come first served
+    const unkeyed = new Map()
+    for (const node of existing) {
+        const key = keyOf(node)
+        if (key !== null && !keyed.has(key)) {
+            keyed.set(key, node)
+        } else {
+            if (!unkeyed.has(node.nodeName)) unkeyed.set(node.nodeName, [])
+            unkeyed.get(node.nodeName).push(node)
+        }
+    }
+
+    const used = new Set()
+    const wanted = [...to.childNodes]
+    wanted.forEach((wantedNode, position) => {
+        let next = wantedNode
+        const key = keyOf(next)
+        const keep = key !== null && next.hasAttribute('data-keep')
+        let match = key !== null ? keyed.get(key) : unkeyed.get(next.nodeName)?.shift()
+        keyed.delete(key)
+        if (match && match.nodeName !== next.nodeName) match = null
+        if (keep && !match) next = expandKept(next, kept)
+
+        const node = match ?? next
+        if (match) {
+            used.add(match)
+            if (!keep) patchNode(match, next, kept)
+        }
+        if (from.childNodes[position] !== node) from.insertBefore(node, from.childNodes[position] ?? null)
+    })
+
+    for (const node of existing) {
+        if (!used.has(node)) node.remove()
+    }
+}
+
+/**
+ * Patch a live node to match another node with the same name
+ * @param {Node} from - The live node
+ * @param {Node} to - The wanted node
+ * @param {Function} kept - Returns the full markup of a data-keep child by key
+ */
+function patchNode(from, to, kept) {
+    if (from.nodeType !== Node.ELEMENT_NODE) {
+        if (from.nodeValue !== to.nodeValue) from.nodeValue = to.nodeValue
+        return
+    }
+
+    const valueChanged = from.getAttribute('value') !== to.getAttribute('value')
+    for (const { name } of [...from.attributes]) {
+        // The user opens and closes menus; a re-render should not undo that
+        if (!to.hasAttribute(name) && !(name === 'open' && from.nodeName === 'DETAILS')) from.removeAttribute(name)
+    }
+    for (const { name, value } of to.attributes) {
+        if (from.getAttribute(name) !== value) from.setAttribute(name, value)
+    }
+    // Attributes only set the initial state of a form control
+    if (from.nodeName === 'INPUT') {
+        from.checked = to.hasAttribute('checked')
+        if (valueChanged) from.value = to.value
+    }
+    if (from.nodeName === 'OPTION') from.selected = to.hasAttribute('selected')
+
+    // Custom elements render their own content
+    if (from.nodeName.includes('-')) return
+    morphChildren(from, to, kept)
+}
@@ -0,0 +1,205 @@
+/**
+ * History providers for tpen-line-history.
+ * A provider loads every version of a line so the component does not depend on a particular store.
+ *
+ * Any object with this shape can be set as the component's `historyProvider`:
+ *
+ *     {
+ *         async fetchHistory(uri, { signal }) {
+ *             return { items: [...versions], graph: optionalGraph, hasOlder: false }
+ *         }
+ *     }
+ *
+ * `items` may be in any order; the component sorts them. Rejecting marks the fetch as failed.
+ * Providers may also implement `fetchSince(versionUri, { signal })`, resolving to the versions that
+ * descend from a version, so cached histories can be revalidated without refetching the whole chain.
+ * Providers that page long histories resolve `hasOlder: true` and implement
+ * `fetchOlder(uri, { before, signal })`, resolving to `{ items, hasOlder }` for the versions older
+ * than `before`, the oldest version loaded so far; the "Load older versions" pager calls it.
+ *
+ * @module history-providers
+ * @author Research Computing Group
+ * @license MIT
+ */
+
+import { getVersionId } from './history-core.js'
+
+export const DEFAULT_RERUM_HISTORY_SRC = 'https://cubap.github.io/rerum-history-component/src/rerum-history-tree.js'
+// Versions fetched per fetchOlder() call
+const DEFAULT_OLDER_PAGE_SIZE = 50
+
+/**
+ * The id of the version a version was saved over
+ * @param {Object} item - A version
+ * @returns {String|null} Its RERUM previous id, or null for a root
+ */
+function previousId(item) {
+    return item?.__rerum?.history?.previous || null
+}
+
+/**
+ * Default provider: RerumHistoryData from the rerum-history-component, which walks the
+ * RERUM /history/ and /since/ endpoints
+ */
+export class RerumHistoryProvider {
+    /**
+     * @param {Object} [options]
+     * @param {String} [options.src] - URL of the module exporting RerumHistoryData
+     * @param {Number} [options.pageSize] - Versions fetched per fetchOlder() call
+     */
+    constructor({ src = DEFAULT_RERUM_HISTORY_SRC, pageSize = DEFAULT_OLDER_PAGE_SIZE } = {}) {
+        this.src = src
+        this.pageSize = pageSize
+        this.modulePromise = null
+    }
+
+    /**
+     * Names this provider's histories in a shared cache
+     * @returns {String} The scope, the same for every provider reading the same RERUM client
+     */
+    get cacheScope() {
+        return `rerum:${this.src}`
+    }
+
+    /**
+     * Fetch every version of a line
+     * @param {String} uri - The line URI
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the fetch
+     * @returns {Promise<{items: Array<Object>, graph: Object|null, hasOlder: Boolean}>} The versions, RERUM's
+     *     graph, and whether a version's previous link points outside them
+     */
+    async fetchHistory(uri, { signal } = {}) {
+        this.modulePromise ??= import(this.src)
+        const { RerumHistoryData } = await this.modulePromise
+        const data = new RerumHistoryData(uri)
+        signal?.addEventListener('abort', () => data.abort(), { once: true })
+        await data.fetch()
+        const items = data.getItems()
+        const ids = new Set(items.map(getVersionId))
+        return {
+            items,
+            graph: data.getGraph?.() ?? null,
+            hasOlder: items.some(item => previousId(item) && !ids.has(previousId(item)))
+        }
+    }
+
+    /**
+     * Fetch the versions older than one already loaded, by following __rerum.history.previous links
+     * @param {String} uri - The line URI
+     * @param {Object} options
+     * @param {Object} options.before - The oldest version loaded so far
+     * @param {AbortSignal} [options.signal] - Aborts the fetch
+     * @returns {Promise<{items: Array<Object>, hasOlder: Boolean}>} Up to pageSize versions, newest first,
+     *     and whether the oldest of them has a previous version
+     */
+    async fetchOlder(uri, { before, signal } = {}) {
+        const items = []
+        const seen = new Set([getVersionId(before)])
+        let next = previousId(before)
+        while (next && !seen.has(next) && items.length < this.pageSize) {
+            seen.add(next)
+            const response = await fetch(next, { signal })
+            if (!response.ok) throw new Error(`${response.status} ${response.statusText} from ${next}`)
+            const version = await response.json()
+            items.push(version)
+            next = previousId(version)
+        }
+        return { items, hasOlder: Boolean(next) && !seen.has(next) }
+    }
+
+    /**
+     * Fetch the versions that descend from a version, via the RERUM /since/ endpoint
+     * @param {String} uri - A RERUM object URI (…/id/…)
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the fetch
+     * @returns {Promise<Array<Object>>} The descendant versions
+     */
+    async fetchSince(uri, { signal } = {}) {
+        const sinceUrl = uri.replace(/\/id\/([^/]+)$/, '/since/$1')
+        if (sinceUrl === uri) throw new Error(`Not a RERUM object URI: ${uri}`)
+        const response = await fetch(sinceUrl, { signal })
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText} from ${sinceUrl}`)
+        return response.json()
+    }
+}
+
+/**
+ * In-memory provider for offline use, demos and tests.
+ * Accepts a map of line URI to versions, a flat array of versions linked by __rerum.history,
+ * or the URL of a JSON fixture holding either.
+ */
+export class StaticHistoryProvider {
+    /**
+     * @param {Object|Map|Array<Object>|String} [source] - Histories by URI, linked versions, or a fixture URL
+     */
+    constructor(source = {}) {
+        this.source = source
+        this.histories = typeof source === 'string' ? null : indexHistories(source)
+        this.loading = null
+    }
+
+    /**
+     * Names this provider's histories in a shared cache
+     * @returns {String|null} The scope of a fixture URL; null for in-page histories, which are cached per provider
+     */
+    get cacheScope() {
+        return typeof this.source === 'string' ? `static:${this.source}` : null
+    }
+
+    /**
+     * Fetch every version of a line
+     * @param {String} uri - The line URI
+     * @returns {Promise<{items: Array<Object>, graph: null}>} Copies of the stored versions
+     */
+    async fetchHistory(uri) {
+        if (!this.histories) {
+            this.loading ??= fetch(this.source).then(response => {
+                if (!response.ok) throw new Error(`${response.status} ${response.statusText} from ${this.source}`)
+                return response.json()
+            }).catch(error => {
+                // Let the next call retry rather than reuse the failure
+                this.loading = null
+                throw error
+            })
+            this.histories = indexHistories(await this.loading)
+        }
+        return { items: structuredClone(this.histories.get(uri) ?? []), graph: null }
+    }
+}
+
+/**
+ * Index histories so any version's id finds its whole line history
+ * @param {Object|Map|Array<Object>} source - Histories by URI, or linked versions
+ * @returns {Map<String, Array<Object>>} Versions by line or version URI
+ */
+function indexHistories(source) {
+    if (source instanceof Map) return new Map(source)
+    if (!Array.isArray(source)) return new Map(Object.entries(source))
+
+    const byId = new Map(source.map(item => [getVersionId(item), item]))
+    const rootOf = (item) => {
+        const prime = item.__rerum?.history?.prime
+        if (prime && prime !== 'root') return prime
+        // Walk previous links when prime is missing; stop at unknown ids and cycles
+        const seen = new Set()
+        let current = item
+        while (byId.has(current.__rerum?.history?.previous) && !seen.has(current)) {
+            seen.add(current)
+            current = byId.get(current.__rerum.history.previous)
+        }
+        return getVersionId(current)
+    }
+
+    const groups = new Map()
+    for (const item of source) {
+        const root = rootOf(item)
+        groups.set(root, [...groups.get(root) ?? [], item])
+    }
+
+    const index = new Map()
+    for (const group of groups.values()) {
+        for (const item of group) index.set(getVersionId(item), group)
+    }
+    return index
+}
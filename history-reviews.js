@@ -0,0 +1,259 @@
+/**
+ * Reviews of line versions.
+ * A review is a Web Annotation that targets one version's id: a comment (motivation `commenting`),
+ * or an approval or flag (motivation `assessing`) with an optional comment.
+ *
+ * Any object with this shape can be set as the component's `reviewStore`:
+ *
+ *     {
+ *         async fetchReviews(versionIds, { signal }) {
+ *             return [...reviewAnnotations]
+ *         },
+ *         async saveReview(annotation) {
+ *             return savedAnnotation
+ *         }
+ *     }
+ *
+ * @module history-reviews
+ * @author Research Computing Group
+ * @license MIT
+ */
+
+import { mapWithConcurrency } from './history-feed.js'
+import { localName, annotationBodies } from './history-annotation.js'
+
+export const DEFAULT_RERUM_API = 'https://store.rerum.io/v1/api'
+
+// Version ids asked about in one query, and reviews read per page of its results
+const QUERY_BATCH_SIZE = 50
+const QUERY_LIMIT = 100
+
+/**
+ * Review actions, with the motivation and assessment each records
+ */
+export const REVIEW_ACTIONS = Object.freeze({
+    comment: { motivation: 'commenting', assessment: null },
+    approve: { motivation: 'assessing', assessment: 'approved' },
+    flag: { motivation: 'assessing', assessment: 'flagged' }
+})
+
+const REVIEW_MOTIVATIONS = ['commenting', 'assessing']
+
+/**
+ * Build a review annotation
+ * @param {String} versionId - The id of the version under review
+ * @param {String} action - 'comment', 'approve' or 'flag'
+ * @param {Object} [options]
+ * @param {String} [options.comment] - The comment text
+ * @param {String|Object} [options.creator] - The reviewer
+ * @param {Date} [options.created] - When the review was made
+ * @returns {Object} The annotation
+ */
+export function buildReview(versionId, action, { comment = '', creator = null, created = new Date() } = {}) {
+    const { motivation, assessment } = REVIEW_ACTIONS[action]
+    const text = comment.trim()
+    const body = [
+        assessment && { type: 'TextualBody', purpose: 'assessing', value: assessment },
+        text && { type: 'TextualBody', purpose: 'commenting', value: text, format: 'text/plain' }
+    ].filter(Boolean)
+
+    return {
+        '@context': 'http://www.w3.org/ns/anno.jsonld',
+        type: 'Annotation',
+        motivation,
+        body: body.length === 1 ? body[0] : body,
+        target: versionId,
+        ...(creator && { creator }),
+        created: created.toISOString()
+    }
+}
+
+/**
+ * Whether an annotation is a review
+ * @param {Object} annotation - Any annotation
+ * @returns {Boolean} True for commenting and assessing annotations
+ */
+export function isReview(annotation) {
+    return [annotation?.motivation].flat().filter(Boolean).map(localName).some(motivation => REVIEW_MOTIVATIONS.includes(motivation))
+}
+
+/**
+ * The id of the version a review targets
+ * @param {Object} annotation - The review
+ * @returns {String|null} The version id
+ */
+export function reviewTarget(annotation) {
+    const target = [annotation?.target].flat()[0]
+    if (!target) return null
+    if (typeof target === 'string') return target
+    const source = target.source ?? target.id ?? target['@id']
+    return typeof source === 'string' ? source : source?.id ?? source?.['@id'] ?? null
+}
+
+/**
+ * The assessment a review records
+ * @param {Object} annotation - The review
+ * @returns {String|null} 'approved', 'flagged', or null for a comment
+ */
+export function reviewAssessment(annotation) {
+    const body = annotationBodies(annotation).find(candidate => [candidate.purpose].flat().filter(Boolean).map(localName).includes('assessing'))
+    const value = body?.value ?? null
+    return Object.values(REVIEW_ACTIONS).some(({ assessment }) => assessment && assessment === value) ? value : null
+}
+
+/**
+ * The comment text of a review
+ * @param {Object} annotation - The review
+ * @returns {String} The comment, or an empty string
+ */
+export function reviewComment(annotation) {
+    return annotationBodies(annotation)
+        .filter(body => ![body.purpose].flat().filter(Boolean).map(localName).includes('assessing'))
+        .map(body => body.value ?? '')
+        .filter(Boolean)
+        .join('\n')
+}
+
+/**
+ * When a review was made
+ * @param {Object} annotation - The review
+ * @returns {Number} Milliseconds, or 0 if unknown
+ */
+export function reviewTime(annotation) {
+    const value = annotation?.created ?? annotation?.__rerum?.createdAt
+    return value ? new Date(value).getTime() || 0 : 0
+}
+
+/**
+ * Group reviews by the version they target, oldest first
+ * @param {Array<Object>} annotations - Reviews for any versions
+ * @returns {Map<String, Array<Object>>} Reviews by version id
+ */
+export function groupReviews(annotations) {
+    const groups = new Map()
+    for (const annotation of annotations) {
+        const versionId = reviewTarget(annotation)
+        if (!versionId || !isReview(annotation)) continue
+        if (!groups.has(versionId)) groups.set(versionId, [])
+        groups.get(versionId).push(annotation)
+    }
+    for (const reviews of groups.values()) reviews.sort((a, b) => reviewTime(a) - reviewTime(b))
+    return groups
+}
+
+/**
+ * A version's review status: its latest approval or flag
+ * @param {Array<Object>} [reviews] - The version's reviews, oldest first
+ * @returns {String|null} 'approved', 'flagged', or null if it has not been assessed
+ */
+export function reviewStatus(reviews = []) {
+    return reviews.map(reviewAssessment).filter(Boolean).at(-1) ?? null
+}
+
+/**
+ * Default store: review annotations in RERUM, found with the query API and saved with create
+ */
+export class RerumReviewStore {
+    /**
+     * @param {Object} [options]
+     * @param {String} [options.api] - Base URL of the RERUM API
+     * @param {Function} [options.getToken] - Returns the bearer token for saving
+     */
+    constructor({ api = DEFAULT_RERUM_API, getToken = () => null } = {}) {
+        this.api = api.replace(/\/+$/, '')
+        this.getToken = getToken
+    }
+
+    /**
+     * Fetch the reviews of some versions, asking about up to 50 versions in each query
+     * @param {Array<String>} versionIds - The version ids
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the fetch
+     * @returns {Promise<Array<Object>>} The reviews
+     */
+    async fetchReviews(versionIds, { signal } = {}) {
+        const batches = []
+        for (let start = 0; start < versionIds.length; start += QUERY_BATCH_SIZE) batches.push(versionIds.slice(start, start + QUERY_BATCH_SIZE))
+        const results = await mapWithConcurrency(batches, 4, batch => this.query({ target: { $in: batch } }, { signal }))
+        return results.flat().filter(isReview)
+    }
+
+    /**
+     * Run a RERUM query, following its pages until the results run out
+     * @param {Object} filter - The query
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the fetch
+     * @returns {Promise<Array<Object>>} Every matching object
+     */
+    async query(filter, { signal } = {}) {
+        const found = []
+        for (let skip = 0; ; skip += QUERY_LIMIT) {
+            const url = `${this.api}/query?limit=${QUERY_LIMIT}&skip=${skip}`
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(filter),
+                signal
+            })
+            if (!response.ok) throw new Error(`${response.status} ${response.statusText} from ${this.api}/query`)
+            const page = await response.json()
+            found.push(...page)
+            if (page.length < QUERY_LIMIT) return found
+        }
+    }
+
+    /**
+     * Save a review
+     * @param {Object} annotation - The review
+     * @returns {Promise<Object>} The saved review, with its id
+     */
+    async saveReview(annotation) {
+        const token = this.getToken()
+        if (!token) throw new Error('You must be logged in to TPEN to review a version')
+
+        const response = await fetch(`${this.api}/create`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${token}`
+            },
+            body: JSON.stringify(annotation)
+        })
+        if (!response.ok) throw new Error(`Save failed: ${response.status} ${response.statusText}`)
+        const saved = await response.json()
+        return saved.new_obj_state ?? saved
+    }
+}
+
+/**
+ * In-memory store for offline use, demos and tests
+ */
+export class MemoryReviewStore {
+    /**
+     * @param {Array<Object>} [annotations] - Existing reviews
+     */
+    constructor(annotations = []) {
+        this.annotations = [...annotations]
+    }
+
+    /**
+     * Fetch the reviews of some versions
+     * @param {Array<String>} versionIds - The version ids
+     * @returns {Promise<Array<Object>>} Copies of the stored reviews
+     */
+    async fetchReviews(versionIds) {
+        const ids = new Set(versionIds)
+        return structuredClone(this.annotations.filter(annotation => ids.has(reviewTarget(annotation))))
+    }
+
+    /**
+     * Save a review
+     * @param {Object} annotation - The review
+     * @returns {Promise<Object>} The saved review, with a urn:uuid id
+     */
+    async saveReview(annotation) {
+        const saved = { id: `urn:uuid:${crypto.randomUUID()}`, ...structuredClone(annotation) }
+        this.annotations.push(saved)
+        return structuredClone(saved)
+    }
+}
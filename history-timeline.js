@@ -0,0 +1,46 @@
+/**
+ * Timeline helpers for scrubbing through a line's versions by time.
+ *
+ * @module history-timeline
+ * @author Research Computing Group
+ * @license MIT
+ */
+
+/**
+ * @typedef {Object} TimelineTick
+ * @property {Object} item - The version
+ * @property {Number} timestamp - When it was saved, in milliseconds
+ * @property {Number} position - Where it sits on the timeline, as a percentage from the first version to the last
+ */
+
+/**
+ * Place each version on a timeline by its timestamp
+ * @param {Array<Object>} items - Versions in any order
+ * @param {Function} getTimestamp - Returns a version's timestamp in milliseconds
+ * @returns {Array<TimelineTick>} Ticks, oldest first
+ */
+export function timelineTicks(items, getTimestamp) {
+    const ticks = items
+        .map(item => ({ item, timestamp: getTimestamp(item) }))
+        .sort((a, b) => a.timestamp - b.timestamp)
+    if (ticks.length === 0) return ticks
+
+    const first = ticks[0].timestamp
+    const span = ticks.at(-1).timestamp - first
+    return ticks.map(tick => ({ ...tick, position: span > 0 ? ((tick.timestamp - first) / span) * 100 : 50 }))
+}
+
+/**
+ * The tick in effect at a moment: the newest version saved at or before it
+ * @param {Array<TimelineTick>} ticks - Ticks from timelineTicks()
+ * @param {Number} time - The moment, in milliseconds
+ * @returns {TimelineTick|null} The tick, the first tick for moments before any version, or null with no ticks
+ */
+export function tickAt(ticks, time) {
+    let current = ticks[0] ?? null
+    for (const tick of ticks) {
+        if (tick.timestamp > time) break
+        current = tick
+    }
+    return current
+}
@@ -0,0 +1,20 @@
+/**
+ * A jsdom window for tests that render the component.
+ * Import before tpen-line-history.js, which defines the custom element when it loads.
+ */
+
+import { JSDOM } from 'jsdom'
+
+const { window } = new JSDOM('<!DOCTYPE html><html lang="en"><body></body></html>', { url: 'https://example.org/viewer.html' })
+
+// Node's own Event and CustomEvent are not accepted by jsdom's dispatchEvent, so the window's replace them
+for (const name of ['document', 'navigator', 'location', 'history', 'HTMLElement', 'customElements', 'Event', 'CustomEvent', 'Node', 'CSS']) {
+    Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true })
+}
+globalThis.window = window
+globalThis.requestAnimationFrame ??= callback => setTimeout(callback, 0)
+globalThis.cancelAnimationFrame ??= id => clearTimeout(id)
+// jsdom does no layout, so there is nothing to scroll
+window.HTMLElement.prototype.scrollIntoView ??= () => {}
+
+export { window }
@@ -0,0 +1,182 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { HistoryCache, CachedHistoryProvider } from '../history-cache.js'
+
+/**
+ * A provider whose fetchHistory waits until released, recording the signal it was given
+ * @returns {Object} The provider, with calls and release()
+ */
+function pendingProvider() {
+    const provider = {
+        calls: [],
+        fetchHistory(uri, { signal } = {}) {
+            return new Promise((resolve, reject) => {
+                provider.calls.push({ uri, signal })
+                signal?.addEventListener('abort', () => reject(signal.reason), { once: true })
+                provider.release = () => resolve({ items: [{ '@id': uri, text: 'line' }] })
+            })
+        }
+    }
+    return provider
+}
+
+test('fetchHistory passes an abort signal to the provider', async () => {
+    const provider = pendingProvider()
+    const source = new CachedHistoryProvider(provider, new HistoryCache({ indexedDB: null }))
+    const controller = new AbortController()
+    const request = source.fetchHistory('https://example.org/line/1', { signal: controller.signal })
+    await new Promise(resolve => setTimeout(resolve, 0))
+
+    controller.abort()
+    await assert.rejects(request, { name: 'AbortError' })
+    assert.equal(provider.calls.length, 1)
+    assert.equal(provider.calls[0].signal.aborted, true)
+})
+
+test('a shared fetch keeps running until every caller has aborted', async () => {
+    const provider = pendingProvider()
+    const source = new CachedHistoryProvider(provider, new HistoryCache({ indexedDB: null }))
+    const first = new AbortController()
+    const second = new AbortController()
+    const firstRequest = source.fetchHistory('https://example.org/line/1', { signal: first.signal })
+    const secondRequest = source.fetchHistory('https://example.org/line/1', { signal: second.signal })
+    await new Promise(resolve => setTimeout(resolve, 0))
+    assert.equal(provider.calls.length, 1)
+
+    first.abort()
+    await assert.rejects(firstRequest, { name: 'AbortError' })
+    assert.equal(provider.calls[0].signal.aborted, false)
+
+    provider.release()
+    const { items } = await secondRequest
+    assert.equal(items.length, 1)
+})
+
+test('a request after every caller aborted starts a new fetch', async () => {
+    const provider = pendingProvider()
+    const source = new CachedHistoryProvider(provider, new HistoryCache({ indexedDB: null }))
+    const controller = new AbortController()
+    const aborted = source.fetchHistory('https://example.org/line/1', { signal: controller.signal })
+    await new Promise(resolve => setTimeout(resolve, 0))
+    controller.abort()
+    await assert.rejects(aborted, { name: 'AbortError' })
+
+    const request = source.fetchHistory('https://example.org/line/1')
+    await new Promise(resolve => setTimeout(resolve, 0))
+    assert.equal(provider.calls.length, 2)
+    provider.release()
+    assert.equal((await request).items.length, 1)
+})
+
+/**
+ * A version saved over another
+ * @param {String} id - Version id
+ * @param {String|null} previous - Id of the version it replaced
+ * @returns {Object} The version
+ */
+function version(id, previous = null) {
+    return { '@id': id, text: id, __rerum: { history: { previous } } }
+}
+
+/**
+ * A provider serving a fixed history, with fetchSince answering from the given heads
+ * @param {Array<Object>} items - The full history
+ * @param {Object} [newer] - Versions returned by fetchSince, by head id
+ * @returns {Object} The provider, counting calls to each method
+ */
+function fixedProvider(items, newer = {}) {
+    const provider = {
+        cacheScope: 'fixed',
+        full: 0,
+        since: 0,
+        async fetchHistory() {
+            provider.full++
+            return { items: structuredClone(items), graph: null }
+        },
+        async fetchSince(id) {
+            provider.since++
+            return structuredClone(newer[id] ?? [])
+        }
+    }
+    return provider
+}
+
+test('the least recently used history is evicted beyond maxEntries', async () => {
+    const cache = new HistoryCache({ indexedDB: null, maxEntries: 2 })
+    await cache.set('line/1', [version('v1')])
+    await cache.set('line/2', [version('v2')])
+    await cache.get('line/1')
+    await cache.set('line/3', [version('v3')])
+
+    assert.equal(await cache.get('line/2'), null)
+    assert.equal(await cache.get('v2'), null)
+    assert.equal((await cache.get('v1')).key, 'line/1')
+    assert.equal((await cache.get('line/3')).key, 'line/3')
+})
+
+test('a history older than maxAge is discarded', async () => {
+    const cache = new HistoryCache({ indexedDB: null, maxAge: 1000 })
+    await cache.set('line/1', [version('v1')])
+    cache.records.get('line/1').cachedAt -= 2000
+
+    assert.equal(await cache.get('line/1'), null)
+    assert.equal(await cache.get('v1'), null)
+})
+
+test('revalidation fetches only versions newer than the cached heads', async () => {
+    const cache = new HistoryCache({ indexedDB: null })
+    await cache.set('line/1', [version('v1')], { scope: 'fixed' })
+    const provider = fixedProvider([], { v1: [version('v2', 'v1')] })
+
+    const { items } = await new CachedHistoryProvider(provider, cache).fetchHistory('line/1')
+    assert.deepEqual(items.map(item => item['@id']).sort(), ['v1', 'v2'])
+    assert.deepEqual([provider.full, provider.since], [0, 1])
+})
+
+test('revalidation refetches in full when a fetched version follows one missing from the cache', async () => {
+    const cache = new HistoryCache({ indexedDB: null })
+    await cache.set('line/1', [version('v1'), version('v2', 'v1')], { scope: 'fixed' })
+    const full = [version('v1'), version('v2', 'v1'), version('v3', 'v1'), version('v4', 'v3')]
+    const provider = fixedProvider(full, { v2: [version('v4', 'v3')] })
+
+    const { items } = await new CachedHistoryProvider(provider, cache).fetchHistory('line/1')
+    assert.equal(items.length, 4)
+    assert.equal(provider.full, 1)
+})
+
+test('revalidation refetches in full once refetchAfter has passed', async () => {
+    const cache = new HistoryCache({ indexedDB: null })
+    await cache.set('line/1', [version('v1')], { scope: 'fixed', fetchedAt: Date.now() - 2000 })
+    const provider = fixedProvider([version('v1'), version('v2', 'v1')])
+    const source = new CachedHistoryProvider(provider, cache, { refetchAfter: 1000 })
+
+    const { items } = await source.fetchHistory('line/1')
+    assert.equal(items.length, 2)
+    assert.deepEqual([provider.full, provider.since], [1, 0])
+
+    await source.fetchHistory('line/1')
+    assert.deepEqual([provider.full, provider.since], [1, 1])
+})
+
+test('providers with different scopes do not share cached histories', async () => {
+    const cache = new HistoryCache({ indexedDB: null })
+    const fixture = { ...fixedProvider([version('fixture-v1')]), cacheScope: 'static:fixture.json' }
+    const store = fixedProvider([version('store-v1'), version('store-v2', 'store-v1')], { 'store-v2': [version('fixture-v1', 'store-v2')] })
+
+    await new CachedHistoryProvider(fixture, cache).fetchHistory('line/1')
+    const { items } = await new CachedHistoryProvider(store, cache).fetchHistory('line/1')
+    assert.deepEqual(items.map(item => item['@id']), ['store-v1', 'store-v2'])
+    assert.deepEqual([store.full, store.since], [1, 0])
+    assert.deepEqual((await new CachedHistoryProvider(fixture, cache).peek('line/1')).map(item => item['@id']), ['fixture-v1'])
+})
+
+test('a provider without a scope of its own gets one', async () => {
+    const cache = new HistoryCache({ indexedDB: null })
+    const first = new CachedHistoryProvider({ fetchHistory: async () => ({ items: [version('a')] }) }, cache)
+    const second = new CachedHistoryProvider({ fetchHistory: async () => ({ items: [version('b')] }) }, cache)
+
+    await first.fetchHistory('line/1')
+    assert.equal(await second.peek('line/1'), null)
+    await second.store('line/1', [version('b')])
+    assert.deepEqual((await first.peek('line/1')).map(item => item['@id']), ['a'])
+})
@@ -0,0 +1,290 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { normalizeVersion, getLineText, getLineBounding, versionDelta, LineHistory, editDistance, commonLength, classifyChange, classifyVersions, DEFAULT_REWRITE_THRESHOLD } from '../history-core.js'
+
+const CANVAS = 'https://example.org/canvas/1'
+
+/**
+ * A IIIF Presentation 2 line annotation
+ * @param {String} id - Version id
+ * @param {String} text - The transcription
+ * @param {String} xywh - The line's rectangle
+ * @param {String} modified - When it was saved
+ * @returns {Object} The annotation
+ */
+function p2Line(id, text, xywh, modified) {
+    return {
+        '@id': id,
+        '@type': 'oa:Annotation',
+        motivation: 'sc:painting',
+        resource: { '@type': 'cnt:ContentAsText', 'cnt:chars': text },
+        on: `${CANVAS}#xywh=${xywh}`,
+        __rerum: { createdAt: modified }
+    }
+}
+
+/**
+ * A IIIF Presentation 3 line annotation with an SVG polygon selector
+ * @param {String} id - Version id
+ * @param {String} text - The transcription
+ * @param {String} points - The polygon's points
+ * @param {String} modified - When it was saved
+ * @param {Array<Object>} [extraBodies] - Tag or comment bodies
+ * @returns {Object} The annotation
+ */
+function p3Line(id, text, points, modified, extraBodies = []) {
+    return {
+        id,
+        type: 'Annotation',
+        motivation: 'transcribing',
+        body: [{ type: 'TextualBody', value: text, format: 'text/plain' }, ...extraBodies],
+        target: {
+            source: CANVAS,
+            selector: { type: 'SvgSelector', value: `<svg><polygon points="${points}"/></svg>` }
+        },
+        modified
+    }
+}
+
+test('getLineText reads cnt:chars from a Presentation 2 resource', () => {
+    assert.equal(getLineText(p2Line('v1', 'In principio', '10,20,300,40', '2025-01-16T09:00:00Z')), 'In principio')
+})
+
+test('getLineText reads the transcription body of a Presentation 3 annotation, skipping tags', () => {
+    const line = p3Line('v1', 'erat verbum', '0,0 10,0 10,10', '2025-01-16T09:00:00Z')
+    line.body.unshift({ type: 'TextualBody', value: 'illegible', purpose: 'tagging' })
+    assert.equal(getLineText(line), 'erat verbum')
+})
+
+test('getLineText falls back to an empty string', () => {
+    assert.equal(getLineText({ '@id': 'v1' }), '')
+    assert.equal(getLineText(null), '')
+})
+
+test('getLineBounding reads a Presentation 2 xywh fragment', () => {
+    assert.deepEqual(getLineBounding(p2Line('v1', 'line', '10,20,300,40', '2025-01-16T09:00:00Z')), { x: 10, y: 20, width: 300, height: 40 })
+    assert.deepEqual(getLineBounding({ on: `${CANVAS}#xywh=pixel:1,2,3,4` }), { x: 1, y: 2, width: 3, height: 4 })
+})
+
+test('getLineBounding reads a Presentation 3 FragmentSelector', () => {
+    const line = { target: { source: CANVAS, selector: { type: 'FragmentSelector', value: 'xywh=5,6,70,8' } } }
+    assert.deepEqual(getLineBounding(line), { x: 5, y: 6, width: 70, height: 8 })
+})
+
+test('getLineBounding takes the rectangle around a Presentation 3 SVG polygon', () => {
+    const line = p3Line('v1', 'line', '10.5,20 310,22 308,61.2 12,58', '2025-01-16T09:00:00Z')
+    assert.deepEqual(getLineBounding(line), { x: 10, y: 20, width: 300, height: 42 })
+})
+
+test('getLineBounding returns null without a box', () => {
+    assert.equal(getLineBounding({ target: CANVAS }), null)
+    assert.equal(getLineBounding({}), null)
+})
+
+test('normalizeVersion reads both Presentation APIs into one shape', () => {
+    const p2 = p2Line('https://example.org/v1', 'In principio', '10,20,300,40', '2025-01-16T09:00:00Z')
+    assert.deepEqual(normalizeVersion(p2), {
+        id: 'https://example.org/v1',
+        timestamp: Date.parse('2025-01-16T09:00:00Z'),
+        text: 'In principio',
+        bounding: { x: 10, y: 20, width: 300, height: 40 },
+        canvas: CANVAS,
+        presentation: 2,
+        annotation: p2
+    })
+
+    const p3 = p3Line('https://example.org/v2', 'erat verbum', '0,0 10,0 10,10', '2025-01-17T09:00:00Z')
+    const version = normalizeVersion(p3)
+    assert.equal(version.id, 'https://example.org/v2')
+    assert.equal(version.text, 'erat verbum')
+    assert.equal(version.canvas, CANVAS)
+    assert.equal(version.presentation, 3)
+    assert.deepEqual(version.bounding, { x: 0, y: 0, width: 10, height: 10 })
+})
+
+test('normalizeVersion tolerates a plain line object', () => {
+    const version = normalizeVersion({ _id: 'v1', text: 'line', x: 1, y: 2, w: 3, h: 4 })
+    assert.equal(version.id, 'v1')
+    assert.equal(version.timestamp, 0)
+    assert.equal(version.presentation, null)
+    assert.deepEqual(version.bounding, { x: 1, y: 2, width: 3, height: 4 })
+})
+
+test('versionDelta compares text, box and metadata', () => {
+    const before = p2Line('v1', 'In principio erat', '10,20,300,40', '2025-01-16T09:00:00Z')
+    const after = p2Line('v2', 'In principio erat verbum', '10,24,300,40', '2025-01-17T09:00:00Z')
+    const delta = versionDelta(before, after)
+
+    assert.equal(delta.textChanged, true)
+    assert.equal(delta.granularity, 'word')
+    assert.ok(delta.textDiff.some(op => op.type === 'insert' && op.value.includes('verbum')))
+    assert.equal(delta.boundingChanged, true)
+    assert.deepEqual(delta.boundingDelta, [{ key: 'y', delta: 4 }])
+    assert.deepEqual(delta.metadataChanges, [])
+})
+
+test('versionDelta reports metadata changes alone', () => {
+    const before = p3Line('v1', 'line', '0,0 10,0 10,10', '2025-01-16T09:00:00Z')
+    const after = p3Line('v2', 'line', '0,0 10,0 10,10', '2025-01-17T09:00:00Z', [{ type: 'TextualBody', value: 'abbreviation', purpose: 'tagging' }])
+    const delta = versionDelta(before, after)
+
+    assert.equal(delta.textChanged, false)
+    assert.equal(delta.boundingChanged, false)
+    assert.deepEqual(delta.metadataChanges.map(change => change.field), ['tags'])
+})
+
+test('versionDelta compares the first version against an empty line', () => {
+    const delta = versionDelta(null, p2Line('v1', 'line', '10,20,300,40', '2025-01-16T09:00:00Z'))
+    assert.equal(delta.textChanged, true)
+    assert.equal(delta.boundingChanged, true)
+    assert.deepEqual(delta.boundingDelta, [])
+    assert.deepEqual(delta.metadataChanges, [])
+})
+
+test('LineHistory sorts versions newest first and diffs each against the one before', () => {
+    const first = p2Line('v1', 'In principio', '10,20,300,40', '2025-01-16T09:00:00Z')
+    const second = p2Line('v2', 'In principio erat', '10,20,300,40', '2025-01-17T09:00:00Z')
+    const third = p2Line('v3', 'In principio erat', '12,20,300,40', '2025-01-18T09:00:00Z')
+    const history = new LineHistory([second, first, third])
+
+    assert.equal(history.length, 3)
+    assert.equal(history.current.id, 'v3')
+    assert.deepEqual(history.annotations, [third, second, first])
+    assert.equal(history.previous('v2').id, 'v1')
+    assert.equal(history.previous('v1'), null)
+    assert.equal(history.version('missing'), null)
+    assert.equal(history.delta('missing'), null)
+    assert.equal(history.delta('v2').textChanged, true)
+    assert.equal(history.delta('v3').boundingChanged, true)
+    assert.deepEqual(history.toJSON(), [third, second, first])
+})
+
+test('LineHistory.summary counts changes after the first version', () => {
+    const history = new LineHistory([
+        p3Line('v1', 'line', '0,0 10,0 10,10', '2025-01-16T09:00:00Z'),
+        p3Line('v2', 'line one', '0,0 10,0 10,10', '2025-01-17T09:00:00Z'),
+        p3Line('v3', 'line one', '0,0 12,0 12,10', '2025-01-18T09:00:00Z')
+    ])
+    const { versions, text, bounding } = history.summary()
+    assert.deepEqual({ versions, text, bounding }, { versions: 3, text: 1, bounding: 1 })
+})
+
+test('LineHistory diffs by character when asked', () => {
+    const history = new LineHistory([
+        p2Line('v1', 'verbum', '10,20,300,40', '2025-01-16T09:00:00Z'),
+        p2Line('v2', 'verbvm', '10,20,300,40', '2025-01-17T09:00:00Z')
+    ], { granularity: 'char' })
+    const { summary } = history.changes()[0]
+    assert.deepEqual([summary.inserted, summary.deleted], [1, 1])
+})
+
+test('editDistance counts insertions, deletions and substitutions', () => {
+    assert.equal(editDistance('kitten', 'sitting'), 3)
+    assert.equal(editDistance('', 'abc'), 3)
+    assert.equal(editDistance('abc', ''), 3)
+    assert.equal(editDistance('same', 'same'), 0)
+})
+
+test('editDistance counts characters outside the Basic Multilingual Plane once', () => {
+    assert.equal(editDistance('𝔞𝔟', '𝔞𝔠'), 1)
+    assert.equal(editDistance('😀', ''), 1)
+})
+
+/**
+ * A Presentation 2 version with a given text and rectangle
+ * @param {String} text - The transcription
+ * @param {String} [xywh] - The line's rectangle
+ * @returns {Object} The annotation
+ */
+function reading(text, xywh = '10,20,300,40') {
+    return p2Line(`v-${text}-${xywh}`, text, xywh, '2025-01-16T09:00:00Z')
+}
+
+test('classifyChange calls the first version created', () => {
+    assert.equal(classifyChange(reading('line'), null), 'created')
+})
+
+test('classifyChange calls an emptied line blanked', () => {
+    assert.equal(classifyChange(reading(''), reading('In principio')), 'blanked')
+    assert.equal(classifyChange(reading('   '), reading('In principio')), 'blanked')
+    // Blanking takes precedence over a move, but emptying a line with no text is an ordinary edit
+    assert.equal(classifyChange(reading('', '0,0,1,1'), reading('In principio')), 'blanked')
+    assert.equal(classifyChange(reading(''), reading(' ')), 'text')
+})
+
+test('classifyChange calls a return to an earlier reading a revert', () => {
+    const earlier = [reading('In principio erat'), reading('In principio')]
+    assert.equal(classifyChange(reading('In principio'), reading('In principio erat verbum'), earlier), 'revert')
+    // Undoing only the previous version is an ordinary edit
+    assert.equal(classifyChange(reading('In principio erat verbum'), reading('In principio erat'), []), 'text')
+})
+
+test('classifyChange calls a change above the rewrite threshold a rewrite', () => {
+    assert.equal(DEFAULT_REWRITE_THRESHOLD, 0.5)
+    // 4 of 10 characters changed
+    assert.equal(classifyChange(reading('abcdefwxyz'), reading('abcdefghij')), 'text')
+    // 2 of 4, exactly at the threshold
+    assert.equal(classifyChange(reading('abxy'), reading('abcd')), 'text')
+    // 6 of 10, just above it
+    assert.equal(classifyChange(reading('abcduvwxyz'), reading('abcdefghij')), 'rewrite')
+    assert.equal(classifyChange(reading('Et verbum erat apud Deum'), reading('In principio')), 'rewrite')
+})
+
+test('commonLength counts the characters two readings share in order', () => {
+    assert.equal(commonLength('dns', 'dominus'), 3)
+    assert.equal(commonLength('abcdefghij', 'abcduvwxyz'), 4)
+    assert.equal(commonLength('', 'abc'), 0)
+    assert.equal(commonLength('𝔞𝔟', '𝔞𝔠'), 1)
+})
+
+test('classifyChange does not call an expanded abbreviation a rewrite', () => {
+    assert.equal(classifyChange(reading('dominus'), reading('dns')), 'text')
+    assert.equal(classifyChange(reading('ihesus christus'), reading('ihs xps')), 'text')
+    assert.equal(classifyChange(reading('Dominus vobiscum'), reading('Dns vobiscū')), 'text')
+})
+
+test('classifyChange does not call an insertion a rewrite', () => {
+    assert.equal(classifyChange(reading('a b'), reading('a')), 'text')
+    assert.equal(classifyChange(reading('In principio erat verbum et verbum erat apud Deum'), reading('In principio')), 'text')
+})
+
+test('classifyChange honours a custom rewrite threshold', () => {
+    assert.equal(classifyChange(reading('abcdefwxyz'), reading('abcdefghij'), [], { rewriteThreshold: 0.3 }), 'rewrite')
+    assert.equal(classifyChange(reading('abcduvwxyz'), reading('abcdefghij'), [], { rewriteThreshold: 0.8 }), 'text')
+})
+
+test('classifyChange tells text, geometry and both apart', () => {
+    assert.equal(classifyChange(reading('In principio erat'), reading('In principio')), 'text')
+    assert.equal(classifyChange(reading('In principio', '12,20,300,40'), reading('In principio')), 'geometry')
+    assert.equal(classifyChange(reading('In principio erat', '12,20,300,40'), reading('In principio')), 'both')
+})
+
+test('classifyChange calls a metadata-only change unchanged', () => {
+    const before = p3Line('v1', 'line', '0,0 10,0 10,10', '2025-01-16T09:00:00Z')
+    const after = p3Line('v2', 'line', '0,0 10,0 10,10', '2025-01-17T09:00:00Z', [{ type: 'TextualBody', value: 'illegible', purpose: 'tagging' }])
+    assert.equal(classifyChange(after, before), 'unchanged')
+})
+
+test('classifyVersions classifies a history newest first', () => {
+    const versions = [
+        reading('In principio erat', '12,20,300,40'),
+        reading('', '12,20,300,40'),
+        reading('In principio erat verbum', '12,20,300,40'),
+        reading('In principio erat', '12,20,300,40'),
+        reading('In principio erat'),
+        reading('In principio')
+    ]
+    assert.deepEqual(classifyVersions(versions), ['revert', 'blanked', 'text', 'geometry', 'text', 'created'])
+    assert.deepEqual(classifyVersions([]), [])
+})
+
+test('LineHistory marks blanked and rewritten versions anomalous', () => {
+    const history = new LineHistory([
+        p2Line('v1', 'In principio', '10,20,300,40', '2025-01-16T09:00:00Z'),
+        p2Line('v2', 'Et verbum erat apud Deum', '10,20,300,40', '2025-01-17T09:00:00Z'),
+        p2Line('v3', '', '10,20,300,40', '2025-01-18T09:00:00Z')
+    ])
+    assert.deepEqual(history.kinds(), ['blanked', 'rewrite', 'created'])
+    assert.deepEqual(history.changes().map(({ anomalous }) => anomalous), [true, true, false])
+    assert.deepEqual(history.summary().kinds, { created: 1, blanked: 1, rewrite: 1 })
+})
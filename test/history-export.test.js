@@ -0,0 +1,96 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { serializeHistory } from '../history-export.js'
+
+/**
+ * Accessors for the plain fixture versions below
+ * @type {import('../history-export.js').ExportAccessors}
+ */
+const accessors = {
+    getId: version => version.id,
+    getTimestamp: version => version.time,
+    getText: version => version.text,
+    getBounding: version => version.bounding ?? null,
+    getContributor: version => version.author ?? { id: 'unknown', name: 'Unknown' },
+    getCanvas: version => version.canvas ?? null
+}
+
+/**
+ * A fixture version
+ * @param {Number} n - Version number, also its timestamp
+ * @param {String} text - The reading
+ * @param {Object} [fields] - Extra fields
+ * @returns {Object} The version
+ */
+function version(n, text, fields = {}) {
+    return { id: `https://store.rerum.io/v1/id/v${n}`, time: Date.UTC(2024, 0, n), text, ...fields }
+}
+
+test('CSV quotes fields holding quotes, commas and newlines', () => {
+    const csv = serializeHistory('csv', [
+        version(2, 'second, with "quotes"\nand a newline'),
+        version(1, 'plain')
+    ], accessors)
+    const [header, first, second] = csv.split('\r\n')
+    assert.equal(header, 'version,id,timestamp,author,text,xywh')
+    assert.equal(first, '1,https://store.rerum.io/v1/id/v1,2024-01-01T00:00:00.000Z,Unknown,plain,')
+    assert.equal(second, '2,https://store.rerum.io/v1/id/v2,2024-01-02T00:00:00.000Z,Unknown,"second, with ""quotes""\nand a newline",')
+})
+
+test('CSV neutralizes text and authors that a spreadsheet would read as a formula', () => {
+    const csv = serializeHistory('csv', [
+        version(1, '=HYPERLINK("https://example.org","x")'),
+        version(2, '+1'),
+        version(3, '-2', { author: { id: 'https://example.org/u', name: '@SUM(A1)' } }),
+        version(4, 'a = b - c')
+    ], accessors)
+    const rows = csv.split('\r\n').slice(1)
+    assert.match(rows[0], /,"'=HYPERLINK\(""https:\/\/example.org"",""x""\)",$/)
+    assert.match(rows[1], /,'\+1,$/)
+    assert.match(rows[2], /,'@SUM\(A1\),'-2,$/)
+    assert.match(rows[3], /,a = b - c,$/)
+})
+
+test('CSV writes the bounding box as a media fragment', () => {
+    const csv = serializeHistory('csv', [version(1, 'boxed', { bounding: { x: -5, y: 10, width: 300, height: 40 } })], accessors)
+    assert.match(csv.split('\r\n')[1], /,boxed,"-5,10,300,40"$/)
+})
+
+test('TEI escapes markup in readings, names and ids', () => {
+    const tei = serializeHistory('tei', [
+        version(1, 'a <b> & "c"', {
+            author: { id: 'https://example.org/u?a=1&b=2', name: 'Ann <script>' },
+            canvas: 'https://example.org/canvas/1',
+            bounding: { x: 1, y: 2, width: 3, height: 4 }
+        })
+    ], accessors, { lineUri: 'https://example.org/line?x="1"' })
+    assert.match(tei, /<rdg varSeq="1" change="#v1" facs="https:\/\/example.org\/canvas\/1#xywh=1,2,3,4">a &lt;b&gt; &amp; &quot;c&quot;<\/rdg>/)
+    assert.match(tei, / who="https:\/\/example.org\/u\?a=1&amp;b=2"/)
+    assert.match(tei, />Version 1 by Ann &lt;script&gt;<\/change>/)
+    assert.match(tei, /<ab corresp="https:\/\/example.org\/line\?x=&quot;1&quot;">/)
+    assert.doesNotMatch(tei, /<script>|<b>/)
+})
+
+test('JSON-LD chains each version to the one it revised', () => {
+    const author = { id: 'https://example.org/u', name: 'Ann' }
+    const jsonld = JSON.parse(serializeHistory('jsonld', [
+        version(2, 'two', { author, __rerum: { history: { previous: 'https://store.rerum.io/v1/id/v1' } } }),
+        version(3, 'three', { __rerum: { history: { previous: 'https://store.rerum.io/v1/id/v1' } } }),
+        version(1, 'one')
+    ], accessors, { lineUri: 'https://example.org/line' }))
+    assert.equal(jsonld.id, 'https://example.org/line#history')
+    assert.equal(jsonld.total, 3)
+    assert.deepEqual(jsonld.items.map(item => item.text), ['one', 'two', 'three'])
+    assert.equal(jsonld.items[0].wasRevisionOf, undefined)
+    assert.equal(jsonld.items[1].wasRevisionOf, 'https://store.rerum.io/v1/id/v1')
+    // A fork keeps its recorded parent rather than the previous version in time
+    assert.equal(jsonld.items[2].wasRevisionOf, 'https://store.rerum.io/v1/id/v1')
+    assert.equal(jsonld.items[1].wasAttributedTo, author.id)
+    assert.equal(jsonld.items[2].wasAttributedTo, undefined)
+    assert.equal(jsonld.items[0].generatedAtTime, '2024-01-01T00:00:00.000Z')
+    assert.ok(jsonld.items.every(item => !('__rerum' in item)))
+})
+
+test('an unknown format is rejected', () => {
+    assert.throws(() => serializeHistory('pdf', [], accessors), /Unsupported export format: pdf/)
+})
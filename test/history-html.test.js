@@ -0,0 +1,59 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { html, escapeHtml, safeUrl, trusted } from '../history-html.js'
+
+test('escapeHtml escapes markup and both quote styles', () => {
+    assert.equal(escapeHtml('<script>alert(1)</script>'), '&lt;script&gt;alert(1)&lt;/script&gt;')
+    assert.equal(escapeHtml(`" onmouseover="alert(1)' x='`), '&quot; onmouseover=&quot;alert(1)&#39; x=&#39;')
+    assert.equal(escapeHtml('a & b'), 'a &amp; b')
+    assert.equal(escapeHtml(42), '42')
+})
+
+test('html escapes interpolated text and attribute values', () => {
+    const text = '<img src=x onerror="alert(1)">'
+    const title = '" autofocus onfocus="alert(1)'
+    const markup = String(html`<div title="${title}">${text}</div>`)
+    assert.equal(markup, '<div title="&quot; autofocus onfocus=&quot;alert(1)">&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</div>')
+    assert.ok(!markup.includes('<script'))
+})
+
+test('html nests templates and arrays without re-escaping them, but escapes strings inside arrays', () => {
+    const items = ['<b>', html`<i>${'<script>'}</i>`]
+    assert.equal(String(html`<p>${items}</p>`), '<p>&lt;b&gt;<i>&lt;script&gt;</i></p>')
+})
+
+test('html renders null, undefined and false as nothing, and keeps 0', () => {
+    assert.equal(String(html`[${null}${undefined}${false}${0}]`), '[0]')
+})
+
+test('trusted markup is inserted as is', () => {
+    assert.equal(String(html`${trusted('<style>p{}</style>')}`), '<style>p{}</style>')
+})
+
+test('safeUrl allows http(s), blob, relative and data image URLs', () => {
+    for (const url of ['https://example.org/a.png', 'http://example.org/a', 'blob:https://example.org/1', '/avatar.png', 'avatar.png', 'data:image/png;base64,iVBORw0KGgo=']) {
+        assert.equal(safeUrl(url), url)
+    }
+    assert.equal(safeUrl('  https://example.org/a.png  '), 'https://example.org/a.png')
+})
+
+test('safeUrl rejects javascript:, data: and other script-capable URLs', () => {
+    for (const url of [
+        'javascript:alert(1)',
+        'JavaScript:alert(1)',
+        '  javascript:alert(1)',
+        'java\tscript:alert(1)',
+        'java\nscript:alert(1)',
+        '\u0000javascript:alert(1)',
+        'vbscript:msgbox(1)',
+        'data:text/html,<script>alert(1)</script>',
+        'data:image/svg+xml,<svg onload="alert(1)"/>'
+    ]) {
+        assert.equal(safeUrl(url), null, url)
+    }
+})
+
+test('safeUrl rejects values that are not strings', () => {
+    assert.equal(safeUrl(null), null)
+    assert.equal(safeUrl({ toString: () => 'javascript:alert(1)' }), null)
+})
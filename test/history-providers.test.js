@@ -0,0 +1,81 @@
+import { test, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { RerumHistoryProvider, StaticHistoryProvider } from '../history-providers.js'
+
+const realFetch = globalThis.fetch
+
+afterEach(() => {
+    globalThis.fetch = realFetch
+})
+
+/**
+ * A RERUM version saved over another
+ * @param {Number} n - Its number; version n's previous is n - 1, and version 1 is the root
+ * @returns {Object} The version
+ */
+function version(n) {
+    return {
+        '@id': `https://store.example.org/v1/id/${n}`,
+        text: `reading ${n}`,
+        __rerum: { history: { prime: n === 1 ? 'root' : 'https://store.example.org/v1/id/1', previous: n === 1 ? '' : `https://store.example.org/v1/id/${n - 1}` } }
+    }
+}
+
+/**
+ * Serve versions by id, recording each request
+ * @param {Array<String>} requested - Receives the requested URLs
+ */
+function serveVersions(requested) {
+    globalThis.fetch = async (url) => {
+        requested.push(url)
+        const n = Number(url.split('/').pop())
+        return new Response(JSON.stringify(version(n)), { status: 200, headers: { 'Content-Type': 'application/json' } })
+    }
+}
+
+test('RerumHistoryProvider.fetchOlder follows previous links a page at a time', async () => {
+    const requested = []
+    serveVersions(requested)
+    const provider = new RerumHistoryProvider({ pageSize: 3 })
+
+    const first = await provider.fetchOlder('https://store.example.org/v1/id/10', { before: version(8) })
+    assert.deepEqual(first.items.map(item => item['@id'].split('/').pop()), ['7', '6', '5'])
+    assert.equal(first.hasOlder, true)
+
+    const rest = await provider.fetchOlder('https://store.example.org/v1/id/10', { before: first.items.at(-1) })
+    assert.deepEqual(rest.items.map(item => item['@id'].split('/').pop()), ['4', '3', '2'])
+    assert.equal(rest.hasOlder, true)
+
+    const last = await provider.fetchOlder('https://store.example.org/v1/id/10', { before: rest.items.at(-1) })
+    assert.deepEqual(last.items.map(item => item['@id'].split('/').pop()), ['1'])
+    assert.equal(last.hasOlder, false)
+    assert.equal(requested.length, 7)
+})
+
+test('RerumHistoryProvider.fetchOlder returns nothing before a root version', async () => {
+    const requested = []
+    serveVersions(requested)
+    const result = await new RerumHistoryProvider().fetchOlder('https://store.example.org/v1/id/1', { before: version(1) })
+    assert.deepEqual(result, { items: [], hasOlder: false })
+    assert.equal(requested.length, 0)
+})
+
+test('RerumHistoryProvider.fetchOlder rejects on an HTTP error', async () => {
+    globalThis.fetch = async () => new Response('gone', { status: 404, statusText: 'Not Found' })
+    await assert.rejects(new RerumHistoryProvider().fetchOlder('x', { before: version(3) }), /404/)
+})
+
+test('StaticHistoryProvider retries a fixture that failed to load', async () => {
+    let attempts = 0
+    globalThis.fetch = async () => {
+        attempts++
+        if (attempts === 1) return new Response('', { status: 503, statusText: 'Service Unavailable' })
+        return new Response(JSON.stringify({ 'line/1': [{ '@id': 'v1' }] }), { status: 200 })
+    }
+    const provider = new StaticHistoryProvider('https://example.org/fixtures.json')
+
+    await assert.rejects(provider.fetchHistory('line/1'), /503/)
+    const { items } = await provider.fetchHistory('line/1')
+    assert.deepEqual(items, [{ '@id': 'v1' }])
+    assert.equal(attempts, 2)
+})
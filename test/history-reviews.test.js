@@ -0,0 +1,55 @@
+import { test, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { RerumReviewStore, buildReview } from '../history-reviews.js'
+
+const realFetch = globalThis.fetch
+
+afterEach(() => {
+    globalThis.fetch = realFetch
+})
+
+/**
+ * Answer RERUM queries with approvals of each asked-about version, recording each request
+ * @param {Array<{url: String, query: Object}>} requests - Receives the requests
+ * @param {Number} [perVersion] - Approvals of each version
+ */
+function serveReviews(requests, perVersion = 1) {
+    globalThis.fetch = async (url, { body }) => {
+        const query = JSON.parse(body)
+        requests.push({ url, query })
+        const params = new URL(url).searchParams
+        const skip = Number(params.get('skip'))
+        const limit = Number(params.get('limit'))
+        const reviews = query.target.$in.flatMap(id => Array.from({ length: perVersion }, () => buildReview(id, 'approve')))
+        return new Response(JSON.stringify(reviews.slice(skip, skip + limit)), { status: 200 })
+    }
+}
+
+test('RerumReviewStore.fetchReviews asks about a page of versions in one query', async () => {
+    const requests = []
+    serveReviews(requests)
+    const ids = Array.from({ length: 30 }, (_, n) => `https://store.example.org/v1/id/${n}`)
+
+    const reviews = await new RerumReviewStore({ api: 'https://store.example.org/v1/api' }).fetchReviews(ids)
+    assert.equal(requests.length, 1)
+    assert.deepEqual(requests[0].query, { target: { $in: ids } })
+    assert.equal(reviews.length, 30)
+})
+
+test('RerumReviewStore.fetchReviews splits long lists and follows full result pages', async () => {
+    const requests = []
+    serveReviews(requests, 3)
+    const ids = Array.from({ length: 120 }, (_, n) => `https://store.example.org/v1/id/${n}`)
+
+    const reviews = await new RerumReviewStore({ api: 'https://store.example.org/v1/api' }).fetchReviews(ids)
+    // 150 reviews for each batch of 50 take two pages of 100
+    assert.deepEqual(requests.map(({ query, url }) => [query.target.$in.length, new URL(url).searchParams.get('skip')]), [
+        [50, '0'], [50, '0'], [20, '0'], [50, '100'], [50, '100']
+    ])
+    assert.equal(reviews.length, 360)
+})
+
+test('RerumReviewStore.fetchReviews rejects on an HTTP error', async () => {
+    globalThis.fetch = async () => new Response('', { status: 500, statusText: 'Internal Server Error' })
+    await assert.rejects(new RerumReviewStore().fetchReviews(['https://store.example.org/v1/id/1']), /500/)
+})
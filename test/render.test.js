@@ -0,0 +1,309 @@
+import { window } from './dom.js'
+import { test, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import '../tpen-line-history.js'
+
+const HOSTILE_TEXT = '<img src=x onerror="alert(1)"> "quoted" & <script>alert(2)</script>'
+const HOSTILE_ID = 'https://example.org/id/"><script>alert(3)</script>'
+
+/**
+ * An element showing the given versions, newest first, without connecting it
+ * @param {Array<Object>} versions - The versions
+ * @returns {HTMLElement} The rendered element
+ */
+function renderVersions(versions) {
+    const element = document.createElement('tpen-line-history')
+    element.currentLine = versions[0]
+    element.historyData = versions
+    element.loadState = { status: 'ready' }
+    element.render()
+    return element
+}
+
+test('a card shows hostile text as text', () => {
+    const element = renderVersions([
+        { '@id': 'https://example.org/id/2', text: HOSTILE_TEXT, modified: '2025-01-17T09:00:00Z' },
+        { '@id': 'https://example.org/id/1', text: 'plain', modified: '2025-01-16T09:00:00Z' }
+    ])
+    const root = element.shadowRoot
+    assert.equal(root.querySelectorAll('script').length, 0)
+    assert.equal(root.querySelectorAll('[onerror]').length, 0)
+    assert.ok(root.querySelector('.history-text').textContent.includes('<script>alert(2)</script>'))
+})
+
+test('a card escapes a hostile version id', () => {
+    const element = renderVersions([{ '@id': HOSTILE_ID, text: 'line', modified: '2025-01-17T09:00:00Z' }])
+    const root = element.shadowRoot
+    const card = root.querySelector('.history-item[data-version-id]')
+    assert.equal(root.querySelectorAll('script').length, 0)
+    assert.equal(card.dataset.versionId, HOSTILE_ID)
+    assert.equal(root.querySelector('.version-id').title, HOSTILE_ID)
+})
+
+test('a card drops a javascript: avatar and escapes the contributor name', () => {
+    const element = renderVersions([{
+        '@id': 'https://example.org/id/1',
+        text: 'line',
+        modified: '2025-01-17T09:00:00Z',
+        creator: { id: 'https://example.org/agent/1', name: '<b onclick="alert(4)">Mallory</b>', avatar: 'javascript:alert(5)' }
+    }])
+    const root = element.shadowRoot
+    assert.equal(root.querySelectorAll('img.avatar').length, 0)
+    assert.equal(root.querySelectorAll('[onclick]').length, 0)
+    assert.equal(root.querySelector('.contributor-name').textContent, '<b onclick="alert(4)">Mallory</b>')
+})
+
+test('a card keeps an http avatar and escapes quotes in it', () => {
+    const avatar = 'https://example.org/a.png" onerror="alert(6)'
+    const element = renderVersions([{
+        '@id': 'https://example.org/id/1',
+        text: 'line',
+        modified: '2025-01-17T09:00:00Z',
+        creator: { id: 'https://example.org/agent/1', name: 'Alice', avatar }
+    }])
+    const image = element.shadowRoot.querySelector('img.avatar')
+    assert.equal(image.getAttribute('src'), avatar)
+    assert.equal(image.hasAttribute('onerror'), false)
+})
+
+test('a re-render rebuilds only the cards whose state changed', () => {
+    const element = renderVersions([
+        { '@id': 'https://example.org/id/3', text: 'third', modified: '2025-01-18T09:00:00Z' },
+        { '@id': 'https://example.org/id/2', text: 'second', modified: '2025-01-17T09:00:00Z' },
+        { '@id': 'https://example.org/id/1', text: 'first', modified: '2025-01-16T09:00:00Z' }
+    ])
+    const cards = () => [...element.shadowRoot.querySelectorAll('.history-item[data-version-id]')]
+    const [newest, middle, oldest] = cards()
+    const oldestText = oldest.querySelector('.history-text')
+
+    const rebuilt = []
+    const renderTextDiff = element.renderTextDiff.bind(element)
+    element.renderTextDiff = (text, previousText) => {
+        rebuilt.push(text)
+        return renderTextDiff(text, previousText)
+    }
+    element.selectVersion('https://example.org/id/2')
+
+    // The selection and the list's tab stop moved from the newest card to the middle one
+    assert.deepEqual(rebuilt, ['third', 'second'])
+    assert.deepEqual(cards(), [newest, middle, oldest])
+    assert.equal(oldest.querySelector('.history-text'), oldestText)
+    assert.ok(middle.classList.contains('selected'))
+    assert.ok(!newest.classList.contains('selected'))
+})
+
+test('a kept card that is no longer in the panel is rebuilt from its cached markup', () => {
+    const element = renderVersions([
+        { '@id': 'https://example.org/id/2', text: 'second', modified: '2025-01-17T09:00:00Z' },
+        { '@id': 'https://example.org/id/1', text: 'first', modified: '2025-01-16T09:00:00Z' }
+    ])
+    element.container.querySelector('.history-list').replaceChildren()
+    element.render()
+    const texts = [...element.shadowRoot.querySelectorAll('.history-item .history-text')].map(node => node.textContent.trim())
+    assert.equal(texts.length, 2)
+    assert.equal(element.shadowRoot.querySelectorAll('[data-keep]').length, 0)
+})
+
+test('a saved version is sorted by its timestamp and loses its highlight after a while', () => {
+    mock.timers.enable({ apis: ['setTimeout'] })
+    try {
+        const element = renderVersions([
+            { '@id': 'https://example.org/id/2', text: 'second', modified: '2025-01-17T09:00:00Z' },
+            { '@id': 'https://example.org/id/1', text: 'first', modified: '2025-01-16T09:00:00Z' }
+        ])
+        const ids = () => [...element.shadowRoot.querySelectorAll('.history-item[data-version-id]')].map(card => card.dataset.versionId)
+        const fresh = () => element.shadowRoot.querySelector('[data-version-id="https://example.org/id/1"]').classList.contains('fresh')
+
+        element.addSavedVersion({ '@id': 'https://example.org/id/1', text: 'first, again', modified: '2025-01-18T09:00:00Z' })
+        assert.deepEqual(ids(), ['https://example.org/id/1', 'https://example.org/id/2'])
+        assert.ok(fresh())
+
+        mock.timers.tick(2000)
+        assert.ok(!fresh())
+    } finally {
+        mock.timers.reset()
+    }
+})
+
+test('a shared link to a missing version says so in the panel and drops the version from the URL', async () => {
+    history.replaceState(null, '', '/viewer.html?line=https%3A%2F%2Fexample.org%2Fid%2F2&version=https%3A%2F%2Fexample.org%2Fid%2Fgone')
+    const element = renderVersions([
+        { '@id': 'https://example.org/id/2', text: 'second', modified: '2025-01-17T09:00:00Z' },
+        { '@id': 'https://example.org/id/1', text: 'first', modified: '2025-01-16T09:00:00Z' }
+    ])
+    element.setAttribute('standalone', '')
+
+    assert.equal(await element.showVersion('https://example.org/id/gone'), false)
+    const notice = element.shadowRoot.querySelector('.error-card[role="alert"]')
+    assert.ok(notice.textContent.includes('Version not found'))
+    assert.ok(notice.textContent.includes('https://example.org/id/gone'))
+    assert.equal(new URL(location.href).searchParams.has('version'), false)
+    assert.equal(new URL(location.href).searchParams.get('line'), 'https://example.org/id/2')
+
+    element.selectVersion('https://example.org/id/1')
+    assert.equal(element.shadowRoot.querySelector('.error-card'), null)
+})
+
+test('a standalone project that fails to load says so in the panel', async () => {
+    const element = renderVersions([{ '@id': 'https://example.org/id/1', text: 'first', modified: '2025-01-16T09:00:00Z' }])
+    element.fetchJSON = async () => {
+        throw new Error('503 Service Unavailable')
+    }
+
+    await element.loadStandaloneProject('abc123')
+    const notice = element.shadowRoot.querySelector('.error-card[role="alert"]')
+    assert.ok(notice.textContent.includes('Could not load the project'))
+    assert.ok(notice.textContent.includes('abc123'))
+    assert.ok(notice.querySelector('[data-action="retry-project"]'))
+})
+
+/**
+ * An element that fetches histories from the given provider, without a cache or TPEN.js
+ * @param {Object} provider - The history provider
+ * @returns {HTMLElement} The element
+ */
+function elementWithProvider(provider) {
+    const element = document.createElement('tpen-line-history')
+    element.setAttribute('tpen-src', '')
+    element.historyCache = null
+    element.historyProvider = provider
+    return element
+}
+
+/**
+ * A provider serving one Presentation 3 line's versions, recording the URIs asked for
+ * @returns {Object} The provider, with its calls
+ */
+function presentation3Provider() {
+    const version = (n, modified) => ({
+        id: `https://store.example.org/id/P3-${n}`,
+        type: 'Annotation',
+        body: { type: 'TextualBody', value: `reading ${n}` },
+        target: { source: 'https://example.org/canvas/1', selector: { type: 'FragmentSelector', value: 'xywh=1,2,3,4' } },
+        modified
+    })
+    const provider = {
+        calls: [],
+        async fetchHistory(uri) {
+            provider.calls.push(uri)
+            return { items: [version(1, '2025-01-16T09:00:00Z'), version(2, '2025-01-17T09:00:00Z')], graph: null }
+        }
+    }
+    return provider
+}
+
+test('a Presentation 3 line has its history fetched by its id', async () => {
+    const provider = presentation3Provider()
+    const element = elementWithProvider(provider)
+
+    await element.updateLine({ id: 'https://store.example.org/id/P3-2' })
+    assert.deepEqual(provider.calls, ['https://store.example.org/id/P3-2'])
+    const cards = element.shadowRoot.querySelectorAll('.history-item[data-version-id]')
+    assert.deepEqual([...cards].map(card => card.dataset.versionId), ['https://store.example.org/id/P3-2', 'https://store.example.org/id/P3-1'])
+})
+
+test('opening a change feed entry for a Presentation 3 line shows its whole history', async () => {
+    const provider = presentation3Provider()
+    const element = elementWithProvider(provider)
+    const line = { id: 'https://store.example.org/id/P3-2', type: 'Annotation', body: { type: 'TextualBody', value: 'reading 2' } }
+    element.feed = { scope: 'page', status: 'ready', entries: [{ item: line, previous: null, line, lineNumber: 1, pageLabel: null, timestamp: 0 }] }
+    element.showingFeed = true
+
+    element.openFeedEntry(0)
+    await new Promise(resolve => setTimeout(resolve, 0))
+    assert.deepEqual(provider.calls, ['https://store.example.org/id/P3-2'])
+    assert.equal(element.showingFeed, false)
+    assert.equal(element.shadowRoot.querySelectorAll('.history-item[data-version-id]').length, 2)
+})
+
+test('a restore that finishes after another line is selected leaves that line shown', async () => {
+    const element = elementWithProvider(presentation3Provider())
+    await element.updateLine({ id: 'https://store.example.org/id/P3-2' })
+    let finishSave
+    element.saveLine = annotation => new Promise(resolve => {
+        finishSave = () => resolve({ ...annotation, id: 'https://store.example.org/id/P3-3' })
+    })
+
+    const restoring = element.restoreVersion('https://store.example.org/id/P3-1')
+    await element.updateLine({ id: 'https://store.example.org/id/other' })
+    finishSave()
+    await restoring
+
+    assert.equal(element.getVersionId(element.currentLine), 'https://store.example.org/id/other')
+    assert.equal(element.restoreState, null)
+})
+
+test('a deep-linked version survives a failed load and is selected on retry', async () => {
+    history.replaceState(null, '', '/viewer.html?line=L1&version=V1')
+    let fail = true
+    const element = elementWithProvider({
+        async fetchHistory() {
+            if (fail) throw new Error('503 Service Unavailable')
+            return { items: [{ '@id': 'V2', text: 'two', modified: '2025-01-17T09:00:00Z' }, { '@id': 'V1', text: 'one', modified: '2025-01-16T09:00:00Z' }] }
+        }
+    })
+    element.setAttribute('standalone', '')
+
+    await element.openLine('L1', 'V1')
+    assert.equal(element.loadState.status, 'error')
+    assert.equal(new URL(location.href).searchParams.get('version'), 'V1')
+
+    fail = false
+    await element.refresh()
+    assert.equal(element.selectedVersionId, 'V1')
+    assert.equal(new URL(location.href).searchParams.get('version'), 'V1')
+})
+
+test('with a contributor filter, the tab stop and arrow keys skip the hidden cards', () => {
+    const alice = { id: 'https://example.org/agent/alice', name: 'Alice' }
+    const bob = { id: 'https://example.org/agent/bob', name: 'Bob' }
+    const element = renderVersions([
+        { '@id': 'https://example.org/id/4', text: 'four', modified: '2025-01-19T09:00:00Z', creator: bob },
+        { '@id': 'https://example.org/id/3', text: 'three', modified: '2025-01-18T09:00:00Z', creator: alice },
+        { '@id': 'https://example.org/id/2', text: 'two', modified: '2025-01-17T09:00:00Z', creator: bob },
+        { '@id': 'https://example.org/id/1', text: 'one', modified: '2025-01-16T09:00:00Z', creator: alice }
+    ])
+    element.toggleContributor(alice.id)
+    const card = id => element.shadowRoot.querySelector(`.history-item[data-version-id="https://example.org/id/${id}"]`)
+    const tabStops = () => [...element.shadowRoot.querySelectorAll('.history-item[tabindex="0"]')].map(item => item.dataset.versionId)
+
+    assert.deepEqual(tabStops(), ['https://example.org/id/3'])
+    card(3).dispatchEvent(new window.KeyboardEvent('keydown', { key: 'ArrowDown', bubbles: true, composed: true }))
+    assert.equal(element.focusedVersionId, 'https://example.org/id/1')
+    card(1).dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Home', bubbles: true, composed: true }))
+    assert.equal(element.focusedVersionId, 'https://example.org/id/3')
+    assert.deepEqual(tabStops(), ['https://example.org/id/3'])
+})
+
+test('bounding values and deltas use the catalog of the element language', () => {
+    const element = document.createElement('tpen-line-history')
+    element.setAttribute('lang', 'de')
+    element.currentLine = { '@id': 'https://example.org/id/3' }
+    element.historyData = [
+        { '@id': 'https://example.org/id/3', text: 'line, again', modified: '2025-01-18T09:00:00Z', x: 10, y: 24, width: 300, height: 36 },
+        { '@id': 'https://example.org/id/2', text: 'line', modified: '2025-01-17T09:00:00Z', x: 10, y: 24, width: 300, height: 36 },
+        { '@id': 'https://example.org/id/1', text: 'line', modified: '2025-01-16T09:00:00Z', x: 10, y: 20, width: 300, height: 40 }
+    ]
+    element.loadState = { status: 'ready' }
+    element.render()
+
+    const text = element.shadowRoot.textContent
+    assert.ok(text.includes('Breite: 300, Höhe: 36'))
+    assert.ok(text.includes('y +4, Höhe −4'))
+    assert.ok(!/width|height/.test(element.shadowRoot.querySelector('.history-list').textContent))
+})
+
+test('a bare page id without a project is resolved against rerum-id-url', async () => {
+    const element = document.createElement('tpen-line-history')
+    const requested = []
+    element.fetchJSON = async (url) => {
+        requested.push(url)
+        return { label: 'f. 1r' }
+    }
+
+    await element.fetchPage('abc123', null)
+    element.setAttribute('rerum-id-url', 'https://rerum.example.edu/v1/id')
+    const { label } = await element.fetchPage('abc123', null)
+    assert.deepEqual(requested, ['https://store.rerum.io/v1/id/abc123', 'https://rerum.example.edu/v1/id/abc123'])
+    assert.equal(label, 'f. 1r')
+})
@@ -8,14 +8,32 @@
  * @license MIT
  */
 
+const DEFAULT_TPEN_SRC = 'https://app.t-pen.org/api/TPEN.js'
+const DEFAULT_LINE_IMAGE_SRC = 'https://app.t-pen.org/components/line-image/index.js'
+const DEFAULT_TPEN_API = 'https://api.t-pen.org'
+const DEFAULT_RERUM_ID_URL = 'https://store.rerum.io/v1/id/'
+// Versions per "Load older versions" page, and cards built before any scrolling
+const DEFAULT_PAGE_SIZE = 50
+const EAGER_CARDS = 5
+// Time each version is shown during timeline playback
+const TIMELINE_STEP_MS = 1500
+// Keys handled on a focused version card; see handleKeydown()
+const KEYBOARD_SHORTCUTS = 'ArrowUp ArrowDown Home End Enter R C O Escape'
+
 // Attempt to use an existing global TPEN if present (other scripts may load it via relative URLs)
 let TPEN = (typeof window !== 'undefined' && window.TPEN) ? window.TPEN : null
 let _tpImportPromise = null
-if (!TPEN) {
-    // Kick off a dynamic import but don't block module evaluation. We'll wait for it when needed.
-    _tpImportPromise = (async () => {
+
+/**
+ * Import TPEN.js once, unless a global TPEN is already present
+ * @param {String} src - URL of the TPEN.js module; empty to run without TPEN
+ * @returns {Promise<Object|null>} The TPEN object, or null if it could not be loaded
+ */
+function loadTPEN(src) {
+    if (TPEN || !src) return Promise.resolve(TPEN)
+    _tpImportPromise ??= (async () => {
         try {
-            const mod = await import('https://app.t-pen.org/api/TPEN.js')
+            const mod = await import(src)
             TPEN = mod.default ?? mod.TPEN ?? (typeof window !== 'undefined' ? window.TPEN : null)
         } catch (e) {
             console.warn('tpen-line-history: dynamic import of TPEN failed:', e)
@@ -23,136 +41,2557 @@ if (!TPEN) {
         }
         return TPEN
     })()
+    return _tpImportPromise
 }
 
-// Only import the TPEN line-image component if its custom element isn't already registered
-if (typeof customElements !== 'undefined' && !customElements.get('tpen-line-image')) {
+let _lineImageRequested = false
+
+/**
+ * Import the TPEN line-image component once, if its custom element isn't already registered
+ * @param {String} src - URL of the line-image module; empty to skip it
+ */
+function loadLineImage(src) {
+    if (_lineImageRequested || !src || customElements.get('tpen-line-image')) return
+    _lineImageRequested = true
     // Fire-and-forget dynamic import; component registers itself when loaded.
-    import('https://app.t-pen.org/components/line-image/index.js').catch(e => {
+    import(src).catch(e => {
         console.warn('tpen-line-history: failed to import tpen-line-image component:', e)
     })
 }
 
-import { RerumHistoryData } from 'https://cubap.github.io/rerum-history-component/src/rerum-history-tree.js'
+import { RerumHistoryProvider, StaticHistoryProvider } from './history-providers.js'
+import { HistoryCache, CachedHistoryProvider } from './history-cache.js'
+import { html, trusted, safeUrl } from './history-html.js'
+import { patchChildren } from './history-patch.js'
+import { diffText } from './history-diff.js'
+import { EXPORT_FORMATS, serializeHistory } from './history-export.js'
+import { buildVersionTree } from './history-graph.js'
+import { timelineTicks, tickAt } from './history-timeline.js'
+import { translate, isRightToLeft, formatDate, formatRelativeTime, formatList } from './history-i18n.js'
+import { annotationMetadata, metadataChanges, formatMetadataChange, isCanvasMove } from './history-annotation.js'
+import { getVersionId, getTimestamp, getLineText, getLineBounding, getLineImageSource, getIIIFContext, boundingChanged, classifyVersions, countChangeKinds, ANOMALOUS_CHANGES, DEFAULT_REWRITE_THRESHOLD } from './history-core.js'
+import { OVERLAY_COLORS, findCanvasImage, boundingDelta, formatBoundingDelta, overlayViewBox } from './history-overlay.js'
+import { parseSince, pageAnnotations, labelText, buildChangeFeed, mapWithConcurrency } from './history-feed.js'
+import { REVIEW_ACTIONS, buildReview, groupReviews, reviewAssessment, reviewComment, reviewStatus, reviewTime, RerumReviewStore, MemoryReviewStore } from './history-reviews.js'
+import { indexMembers, resolveContributor, summarizeContributors, initials, UNKNOWN_CONTRIBUTOR } from './history-contributors.js'
+
+// Design tokens of the light theme. Each is exposed as --tpen-history-<name>
+const LIGHT_THEME = {
+    'font-family': '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif',
+    'font-mono': 'monospace',
+    'radius': '4px',
+    'spacing': '1rem',
+    'shadow': '0 1px 3px rgba(0,0,0,0.1)',
+    'shadow-raised': '0 2px 6px rgba(0,0,0,0.15)',
+    'background': '#f5f5f5',
+    'surface': 'white',
+    'surface-muted': '#fafafa',
+    'surface-subtle': '#eee',
+    'text': '#333',
+    'text-muted': '#666',
+    'text-faint': '#999',
+    'border': '#ddd',
+    'control-border': '#ccc',
+    'accent': '#2196F3',
+    'accent-strong': '#1976D2',
+    'accent-soft': '#e3f2fd',
+    'accent-muted': '#90caf9',
+    'on-accent': 'white',
+    'shape-fill': 'rgba(33, 150, 243, 0.15)',
+    'current': '#4CAF50',
+    'neutral': '#607d8b',
+    'branch': '#7b1fa2',
+    'changed': '#ff9800',
+    'highlight': '#fff59d',
+    'skeleton': '#eee',
+    'skeleton-shine': '#f8f8f8',
+    'insert-background': '#d4edda',
+    'insert-text': '#155724',
+    'delete-background': '#f8d7da',
+    'delete-text': '#721c24',
+    'error-background': '#f8d7da',
+    'error-border': '#dc3545',
+    'error-text': '#721c24',
+    'bounding-background': '#fff3cd',
+    'bounding-border': '#ffc107',
+    'bounding-text': '#856404',
+    'image-background': '#f8f9fa',
+    'image-border': '#6c757d',
+    'image-text': '#495057',
+    'meta-background': '#f3e5f5',
+    'meta-border': '#9c27b0',
+    'meta-text': '#6a1b9a',
+    'approved': '#2e7d32',
+    'flagged': '#c62828',
+    'anomaly': '#e65100',
+    'anomaly-background': '#fff3e0'
+}
+
+// Colors that differ in the dark theme
+const DARK_THEME = {
+    'shadow': '0 1px 3px rgba(0,0,0,0.5)',
+    'shadow-raised': '0 2px 6px rgba(0,0,0,0.6)',
+    'background': '#121212',
+    'surface': '#1e1e1e',
+    'surface-muted': '#252525',
+    'surface-subtle': '#2c2c2c',
+    'text': '#e0e0e0',
+    'text-muted': '#a0a0a0',
+    'text-faint': '#757575',
+    'border': '#3a3a3a',
+    'control-border': '#555',
+    'accent': '#1e88e5',
+    'accent-strong': '#90caf9',
+    'accent-soft': '#0d2a45',
+    'accent-muted': '#2f5f8a',
+    'shape-fill': 'rgba(144, 202, 249, 0.2)',
+    'current': '#66bb6a',
+    'neutral': '#546e7a',
+    'branch': '#9c27b0',
+    'changed': '#f57c00',
+    'highlight': '#5c5314',
+    'skeleton': '#2c2c2c',
+    'skeleton-shine': '#383838',
+    'insert-background': '#1e4620',
+    'insert-text': '#a5d6a7',
+    'delete-background': '#4a1c1f',
+    'delete-text': '#ef9a9a',
+    'error-background': '#4a1c1f',
+    'error-border': '#e57373',
+    'error-text': '#ef9a9a',
+    'bounding-background': '#3d3418',
+    'bounding-border': '#ffca28',
+    'bounding-text': '#ffe082',
+    'image-background': '#252a2e',
+    'image-border': '#90a4ae',
+    'image-text': '#cfd8dc',
+    'meta-background': '#2e1f33',
+    'meta-border': '#ba68c8',
+    'meta-text': '#e1bee7',
+    'approved': '#66bb6a',
+    'flagged': '#ef5350',
+    'anomaly': '#ff8a50',
+    'anomaly-background': '#3b2416'
+}
 
 /**
- * Custom element for displaying TPEN line history
- * @class TPENLineHistory
- * @extends HTMLElement
+ * Declare a theme's tokens. Rules read the private --_<name>, which takes --tpen-history-<name>
+ * when the page sets it on the element or any ancestor, and the theme's value otherwise.
+ * @param {Object} theme - Token values by name
+ * @returns {String} CSS declarations
  */
-class TPENLineHistory extends HTMLElement {
-    constructor() {
-        super()
-        this.attachShadow({ mode: 'open' })
-        this.currentLine = null
-        this.historyData = []
-        this.rerumHistoryData = null
-        this.historyGraph = null
-    }
+function themeTokens(theme) {
+    return Object.entries(theme).map(([name, value]) => `--_${name}: var(--tpen-history-${name}, ${value});`).join('\n        ')
+}
 
-    connectedCallback() {
-        this.render()
-        this.setupEventListeners()
-        .then(() => this.handleLineChange(TPEN.activeLine))
+/**
+ * Message key for a kind of change, e.g. changeBlanked or countBlanked
+ * @param {String} prefix - 'change' for a badge, 'count' for a summary entry
+ * @param {String} kind - One of CHANGE_KINDS
+ * @returns {String} The message key
+ */
+function changeKindKey(prefix, kind) {
+    return `${prefix}${kind[0].toUpperCase()}${kind.slice(1)}`
+}
+
+// Rendered once per element; render() only patches the container below it
+const STYLES = `
+    :host {
+        ${themeTokens(LIGHT_THEME)}
+        color-scheme: light;
+        display: block;
+        height: 100%;
+        overflow-y: auto;
+        font-family: var(--_font-family);
+        background: var(--_background);
+        color: var(--_text);
     }
 
-    disconnectedCallback() {
-        // Clean up RerumHistoryData instance to prevent memory leaks
-        if (this.rerumHistoryData) {
-            this.rerumHistoryData.abort()
-            this.rerumHistoryData = null
+    /* Dark theme follows the system setting unless theme="light"; theme="dark" forces it */
+    @media (prefers-color-scheme: dark) {
+        :host(:not([theme="light"])) {
+            ${themeTokens(DARK_THEME)}
+            color-scheme: dark;
         }
     }
 
-    /**
-     * Setup event listeners for TPEN.eventDispatcher
-     */
-    async setupEventListeners() {
-        // Ensure TPEN is loaded before setting up event listeners
-        await this.ensureTPEN()
-        
-        if (TPEN?.eventDispatcher) {
-            // Listen for active line changes from TPEN.eventDispatcher
-            TPEN.eventDispatcher.on('tpen-active-line-updated', (event) => {
-                this.handleLineChange(event.detail)
-            })
-        }
+    :host([theme="dark"]) {
+        ${themeTokens(DARK_THEME)}
+        color-scheme: dark;
     }
 
-    /**
-     * Ensure TPEN is loaded and available
-     */
-    async ensureTPEN() {
-        if (TPEN) return TPEN
-        
-        if (_tpImportPromise) {
-            await _tpImportPromise
+    .history-container {
+        padding: var(--_spacing);
+        height: 100%;
+    }
+
+    .history-header {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.5rem;
+        justify-content: space-between;
+        align-items: center;
+        margin-bottom: 1rem;
+        padding-bottom: 0.5rem;
+        border-bottom: 2px solid var(--_text);
+    }
+
+    .history-header h2 {
+        margin: 0;
+        font-size: 1.25rem;
+        color: var(--_text);
+    }
+
+    .no-line {
+        text-align: center;
+        color: var(--_text-muted);
+        padding: 2rem;
+        font-style: italic;
+    }
+
+    .error-card {
+        margin-bottom: 1rem;
+        padding: 0.75rem 1rem;
+        background: var(--_error-background);
+        border-inline-start: 4px solid var(--_error-border);
+        border-radius: var(--_radius);
+        color: var(--_error-text);
+        font-size: 0.875rem;
+    }
+
+    .error-title {
+        font-weight: bold;
+    }
+
+    .error-message {
+        margin: 0.25rem 0 0.5rem;
+        font-family: var(--_font-mono);
+        word-wrap: break-word;
+    }
+
+    .error-card button {
+        padding: 0.25rem 0.75rem;
+        border: 1px solid var(--_error-text);
+        border-radius: var(--_radius);
+        background: var(--_surface);
+        color: var(--_error-text);
+        cursor: pointer;
+        font: inherit;
+    }
+
+    .skeleton .skeleton-bar {
+        height: 0.875rem;
+        margin-bottom: 0.625rem;
+        border-radius: 3px;
+        background: linear-gradient(90deg, var(--_skeleton) 25%, var(--_skeleton-shine) 50%, var(--_skeleton) 75%);
+        background-size: 200% 100%;
+        animation: shimmer 1.2s linear infinite;
+    }
+
+    .skeleton .skeleton-bar.short {
+        width: 40%;
+    }
+
+    .skeleton .skeleton-bar.medium {
+        width: 70%;
+    }
+
+    .history-item.placeholder {
+        min-height: 8rem;
+        background: var(--_surface-muted);
+    }
+
+    .timeline {
+        background: var(--_surface);
+        border: 1px solid var(--_border);
+        border-radius: var(--_radius);
+        padding: 0.75rem;
+        margin-bottom: 1rem;
+    }
+
+    .timeline-controls {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+    }
+
+    .timeline-play {
+        min-width: 4rem;
+        padding: 0.25rem 0.75rem;
+        border: 1px solid var(--_control-border);
+        border-radius: var(--_radius);
+        background: var(--_surface);
+        cursor: pointer;
+        font: inherit;
+        font-size: 0.875rem;
+    }
+
+    .timeline-track {
+        flex: 1;
+    }
+
+    /* Inset by half the scrubber thumb so ticks line up with it */
+    .timeline-ticks {
+        position: relative;
+        height: 0.75rem;
+        margin: 0 0.5rem;
+    }
+
+    .timeline-tick {
+        position: absolute;
+        top: 0;
+        width: 4px;
+        height: 100%;
+        margin-inline-start: -2px;
+        padding: 0;
+        border: none;
+        border-radius: 1px;
+        background: var(--_accent-muted);
+        cursor: pointer;
+    }
+
+    .timeline-tick.current {
+        background: var(--_accent-strong);
+    }
+
+    .timeline-scrubber {
+        width: 100%;
+        margin: 0.25rem 0 0;
+    }
+
+    .timeline-snapshot {
+        margin-top: 0.5rem;
+    }
+
+    .timeline-frame {
+        max-height: 120px;
+        margin-top: 0.5rem;
+    }
+
+    .compare-selects {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 0.5rem;
+        margin-bottom: 0.75rem;
+    }
+
+    .compare-select {
+        flex: 1;
+        min-width: 10rem;
+        font: inherit;
+        font-size: 0.8rem;
+    }
+
+    .compare-columns {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(12rem, 1fr));
+        gap: 0.75rem;
+        margin-top: 0.75rem;
+    }
+
+    .compare-column {
+        min-width: 0;
+    }
+
+    .annotation-meta {
+        margin: 0.5rem 0;
+        font-size: 0.8rem;
+    }
+
+    .meta-chips {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.25rem;
+    }
+
+    .meta-chip {
+        padding: 0.0625rem 0.375rem;
+        border: 1px solid var(--_control-border);
+        border-radius: 999px;
+        background: var(--_surface);
+        color: var(--_text-muted);
+    }
+
+    .meta-chip.tag {
+        border-color: var(--_accent-muted);
+        color: var(--_accent-strong);
+    }
+
+    .meta-comments,
+    .meta-changes {
+        margin: 0.375rem 0 0;
+        padding-inline-start: 1.25rem;
+    }
+
+    .meta-changes {
+        list-style: none;
+        padding: 0.375rem 0.5rem;
+        background: var(--_meta-background);
+        border-inline-start: 3px solid var(--_meta-border);
+        border-radius: 2px;
+    }
+
+    .meta-label {
+        font-weight: bold;
+        color: var(--_meta-text);
+    }
+
+    .meta-value {
+        overflow-wrap: anywhere;
+    }
+
+    .selector-shape {
+        max-height: 100px;
+        margin-top: 0.375rem;
+    }
+
+    .sr-only {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        margin: -1px;
+        padding: 0;
+        overflow: hidden;
+        clip: rect(0 0 0 0);
+        white-space: nowrap;
+        border: 0;
+    }
+
+    .history-item:focus-visible {
+        outline: 2px solid var(--_accent-strong);
+        outline-offset: 2px;
+    }
+
+    .history-pager {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.5rem;
+        align-items: center;
+        justify-content: center;
+        margin-top: 1rem;
+    }
+
+    .history-pager button {
+        padding: 0.25rem 0.75rem;
+        border: 1px solid var(--_control-border);
+        border-radius: var(--_radius);
+        background: var(--_surface);
+        cursor: pointer;
+        font: inherit;
+        font-size: 0.875rem;
+    }
+
+    @keyframes shimmer {
+        from {
+            background-position: 200% 0;
+        }
+        to {
+            background-position: -200% 0;
         }
-        
-        return TPEN
     }
 
-    /**
-     * Handle line change events
-     * @param {Object} lineData - The line data from the event
-     */
-    async handleLineChange(lineData) {
-        if (!lineData) return
+    .history-list {
+        list-style: none;
+        padding: 0;
+        margin: 0;
+    }
 
-        // Ensure TPEN is available for any operations that might need it
-        await this.ensureTPEN()
+    .history-item {
+        background: var(--_surface);
+        border: 1px solid var(--_border);
+        border-radius: var(--_radius);
+        margin-bottom: var(--_spacing);
+        padding: var(--_spacing);
+        box-shadow: var(--_shadow);
+    }
 
-        this.currentLine = lineData
+    .history-item:first-child {
+        border-inline-start: 4px solid var(--_current);
+    }
+
+    .history-item-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        margin-bottom: 0.5rem;
+        font-size: 0.875rem;
+        color: var(--_text-muted);
+    }
+
+    .version-label {
+        font-weight: bold;
+        color: var(--_text);
+    }
+
+    .version-id {
+        font-family: var(--_font-mono);
+        font-size: 0.75rem;
+        color: var(--_text-muted);
+        background: var(--_surface-subtle);
+        padding: 0.125rem 0.25rem;
+        border-radius: 3px;
+        margin-inline-start: 0.5rem;
+    }
+
+    .timestamp {
+        font-size: 0.8rem;
+        cursor: help;
+    }
+
+    .history-text {
+        padding: 0.75rem;
+        background: var(--_surface-muted);
+        border-inline-start: 3px solid var(--_accent);
+        border-radius: 2px;
+        font-family: var(--_font-mono);
+        white-space: pre-wrap;
+        word-wrap: break-word;
+        margin: 0.5rem 0;
+    }
+
+    .history-text.empty {
+        color: var(--_text-faint);
+        font-style: italic;
+    }
+
+    .diff-insert {
+        background: var(--_insert-background);
+        color: var(--_insert-text);
+        text-decoration: none;
+    }
+
+    .diff-delete {
+        background: var(--_delete-background);
+        color: var(--_delete-text);
+        text-decoration: line-through;
+    }
+
+    .revalidating {
+        font-size: 0.75rem;
+        color: var(--_text-muted);
+        font-style: italic;
+    }
+
+    .history-controls {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.5rem;
+    }
+
+    .toggle {
+        display: inline-flex;
+        border: 1px solid var(--_control-border);
+        border-radius: var(--_radius);
+        overflow: hidden;
+        font-size: 0.75rem;
+    }
+
+    .toggle button {
+        border: none;
+        background: var(--_surface);
+        color: var(--_text);
+        padding: 0.25rem 0.5rem;
+        cursor: pointer;
+        font: inherit;
+    }
+
+    .toggle button[aria-pressed="true"] {
+        background: var(--_accent);
+        color: var(--_on-accent);
+    }
+
+    .export-menu {
+        position: relative;
+        font-size: 0.75rem;
+    }
+
+    .export-menu summary {
+        list-style: none;
+        padding: 0.25rem 0.5rem;
+        border: 1px solid var(--_control-border);
+        border-radius: var(--_radius);
+        background: var(--_surface);
+        cursor: pointer;
+    }
+
+    .export-menu summary::-webkit-details-marker {
+        display: none;
+    }
+
+    .export-options {
+        position: absolute;
+        inset-inline-end: 0;
+        z-index: 1;
+        display: flex;
+        flex-direction: column;
+        margin-top: 0.25rem;
+        background: var(--_surface);
+        border: 1px solid var(--_control-border);
+        border-radius: var(--_radius);
+        box-shadow: var(--_shadow-raised);
+    }
+
+    .export-options button {
+        padding: 0.375rem 0.75rem;
+        border: none;
+        background: none;
+        text-align: start;
+        white-space: nowrap;
+        cursor: pointer;
+        font: inherit;
+    }
+
+    .export-options button:hover {
+        background: var(--_accent-soft);
+    }
+
+    .bounding-info {
+        margin-top: 0.5rem;
+        padding: 0.5rem;
+        background: var(--_bounding-background);
+        border-inline-start: 3px solid var(--_bounding-border);
+        border-radius: 2px;
+        font-size: 0.875rem;
+    }
+
+    .bounding-info-title {
+        font-weight: bold;
+        margin-bottom: 0.25rem;
+        color: var(--_bounding-text);
+    }
+
+    .bounding-values {
+        font-family: var(--_font-mono);
+        color: var(--_text);
+    }
+
+    .line-image-container {
+        margin-top: 0.5rem;
+        padding: 0.5rem;
+        background: var(--_image-background);
+        border-inline-start: 3px solid var(--_image-border);
+        border-radius: 2px;
+    }
+
+    .line-image-title {
+        font-weight: bold;
+        margin-bottom: 0.5rem;
+        color: var(--_image-text);
+        font-size: 0.875rem;
+    }
+
+    .line-image {
+        max-width: 100%;
+        border: 1px solid var(--_border);
+        border-radius: var(--_radius);
+        display: block;
+    }
+
+    .no-image {
+        color: var(--_text-muted);
+        font-style: italic;
+        font-size: 0.875rem;
+    }
+
+    .version-tree .version-branch {
+        list-style: none;
+        margin: 0.75rem 0 0;
+        padding: 0;
+        padding-inline-start: 0.75rem;
+        border-inline-start: 2px dashed var(--_accent-muted);
+    }
+
+    .version-tree .history-item:first-child {
+        border-inline-start: 1px solid var(--_border);
+    }
+
+    .graph-badges {
+        display: flex;
+        gap: 0.25rem;
+        margin-bottom: 0.25rem;
+    }
+
+    .graph-badge {
+        padding: 0.125rem 0.375rem;
+        border-radius: 3px;
+        font-size: 0.7rem;
+        font-weight: bold;
+        color: var(--_on-accent);
+    }
+
+    .graph-badge.branch {
+        background: var(--_branch);
+    }
+
+    .graph-badge.leaf {
+        background: var(--_current);
+    }
+
+    .graph-badge.root {
+        background: var(--_neutral);
+    }
+
+    .contributor {
+        display: flex;
+        align-items: center;
+        gap: 0.375rem;
+        margin-bottom: 0.25rem;
+        font-size: 0.8rem;
+        color: var(--_text);
+    }
+
+    .avatar {
+        display: inline-flex;
+        align-items: center;
+        justify-content: center;
+        width: 1.5rem;
+        height: 1.5rem;
+        border-radius: 50%;
+        background: var(--_neutral);
+        color: var(--_on-accent);
+        font-size: 0.65rem;
+        font-weight: bold;
+        object-fit: cover;
+        flex-shrink: 0;
+    }
+
+    .contributor-filter {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 0.375rem;
+        margin-bottom: 1rem;
+        font-size: 0.8rem;
+    }
+
+    .contributor-summary {
+        color: var(--_text-muted);
+        margin-inline-end: 0.25rem;
+    }
+
+    .contributor-chip,
+    .clear-filter {
+        display: inline-flex;
+        align-items: center;
+        gap: 0.25rem;
+        padding: 0.125rem 0.5rem 0.125rem 0.125rem;
+        border: 1px solid var(--_control-border);
+        border-radius: 1rem;
+        background: var(--_surface);
+        color: var(--_text);
+        cursor: pointer;
+        font: inherit;
+    }
+
+    .clear-filter {
+        padding: 0.125rem 0.5rem;
+    }
+
+    .contributor-chip[aria-pressed="true"] {
+        border-color: var(--_accent);
+        background: var(--_accent-soft);
+    }
+
+    .edit-count {
+        color: var(--_text-muted);
+    }
+
+    .history-list:not(.version-tree) .filtered-out {
+        display: none;
+    }
+
+    .version-tree .filtered-out > :not(.version-branch) {
+        opacity: 0.45;
+    }
+
+    .bounding-delta {
+        margin-inline-start: 0.5rem;
+        font-family: var(--_font-mono);
+        font-weight: normal;
+        color: var(--_text);
+    }
+
+    .overlay-toggle {
+        display: inline-flex;
+        align-items: center;
+        gap: 0.25rem;
+        margin-top: 0.375rem;
+        font-size: 0.8rem;
+        cursor: pointer;
+    }
+
+    .overlay-panel {
+        background: var(--_surface);
+        border: 1px solid var(--_border);
+        border-radius: var(--_radius);
+        padding: 0.75rem;
+        margin-bottom: 1rem;
+    }
+
+    .overlay-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        margin-bottom: 0.5rem;
+    }
+
+    .overlay-svg {
+        display: block;
+        width: 100%;
+        max-height: 300px;
+        background: var(--_surface-subtle);
+        border-radius: 2px;
+    }
+
+    .overlay-legend {
+        list-style: none;
+        padding: 0;
+        margin: 0.5rem 0 0;
+        font-size: 0.8rem;
+    }
+
+    .overlay-legend li {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        margin-bottom: 0.25rem;
+    }
+
+    .swatch {
+        width: 1rem;
+        height: 0.75rem;
+        border: 3px solid;
+        border-radius: 2px;
+    }
+
+    .back-to-feed {
+        margin-bottom: 0.75rem;
+        padding: 0;
+        border: none;
+        background: none;
+        color: var(--_accent-strong);
+        cursor: pointer;
+        font: inherit;
+        font-size: 0.875rem;
+    }
+
+    .change-feed .history-item:first-child {
+        border-inline-start: 1px solid var(--_border);
+    }
+
+    .history-item[data-version-id] {
+        cursor: pointer;
+    }
+
+    .history-item.selected {
+        outline: 2px solid var(--_accent);
+        outline-offset: -1px;
+    }
+
+    .history-item.anomalous {
+        border-inline-start: 4px solid var(--_anomaly);
+        background: var(--_anomaly-background);
+    }
+
+    .history-item.fresh {
+        animation: arrive 2s ease-out;
+    }
+
+    @keyframes arrive {
+        from {
+            background: var(--_highlight);
+            transform: translateY(-0.5rem);
+        }
+        20% {
+            transform: none;
+        }
+        to {
+            background: var(--_surface);
+        }
+    }
+
+    .history-actions {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 0.5rem;
+        margin-top: 0.5rem;
+        font-size: 0.8rem;
+    }
+
+    .history-actions button {
+        padding: 0.25rem 0.625rem;
+        border: 1px solid var(--_accent);
+        border-radius: var(--_radius);
+        background: var(--_surface);
+        color: var(--_accent-strong);
+        cursor: pointer;
+        font: inherit;
+    }
+
+    .history-actions button.confirm {
+        background: var(--_accent);
+        color: var(--_on-accent);
+    }
+
+    .history-actions button:disabled {
+        opacity: 0.6;
+        cursor: progress;
+    }
+
+    .restore-error {
+        color: var(--_error-text);
+        background: var(--_error-background);
+        border-radius: 3px;
+        padding: 0.25rem 0.5rem;
+    }
+
+    .changed-indicator {
+        display: inline-block;
+        margin-inline-start: 0.5rem;
+        padding: 0.125rem 0.375rem;
+        background: var(--_changed);
+        color: var(--_on-accent);
+        border-radius: 3px;
+        font-size: 0.75rem;
+        font-weight: bold;
+    }
+
+    .change-badge {
+        padding: 0.125rem 0.375rem;
+        border: 1px solid var(--_border);
+        border-radius: 3px;
+        font-size: 0.7rem;
+        color: var(--_text-muted);
+        background: var(--_surface-muted);
+    }
+
+    .change-badge.anomalous {
+        border-color: var(--_anomaly);
+        font-weight: bold;
+        color: var(--_on-accent);
+        background: var(--_anomaly);
+    }
+
+    .change-summary {
+        flex-basis: 100%;
+        order: 1;
+        font-size: 0.8rem;
+        color: var(--_text-muted);
+    }
+
+    .change-summary.anomalous {
+        font-weight: bold;
+        color: var(--_anomaly);
+    }
+
+    .review-badge {
+        padding: 0.125rem 0.375rem;
+        border-radius: 3px;
+        font-size: 0.7rem;
+        font-weight: bold;
+        color: var(--_on-accent);
+    }
+
+    .review-badge.approved {
+        background: var(--_approved);
+    }
+
+    .review-badge.flagged {
+        background: var(--_flagged);
+    }
+
+    .review-panel {
+        margin-top: 0.5rem;
+        font-size: 0.8rem;
+    }
+
+    .review-list {
+        list-style: none;
+        margin: 0;
+        padding: 0;
+    }
+
+    .review-entry {
+        margin-bottom: 0.375rem;
+        padding: 0.375rem 0.5rem;
+        background: var(--_surface-muted);
+        border-inline-start: 3px solid var(--_border);
+        border-radius: 2px;
+    }
+
+    .review-entry.approved {
+        border-inline-start-color: var(--_approved);
+    }
+
+    .review-entry.flagged {
+        border-inline-start-color: var(--_flagged);
+    }
+
+    .review-entry .contributor {
+        margin-bottom: 0;
+    }
+
+    .review-comment {
+        margin-top: 0.25rem;
+        white-space: pre-wrap;
+        overflow-wrap: anywhere;
+    }
+
+    .review-form textarea {
+        box-sizing: border-box;
+        width: 100%;
+        min-height: 3rem;
+        padding: 0.375rem;
+        border: 1px solid var(--_control-border);
+        border-radius: var(--_radius);
+        background: var(--_surface);
+        color: var(--_text);
+        font: inherit;
+    }
+`
+
+/**
+ * Whether two card states from cardState() are the same
+ * @param {Array} a - One state
+ * @param {Array} b - The other
+ * @returns {Boolean} True if every value is identical
+ */
+function sameCardState(a, b) {
+    return a.length === b.length && a.every((value, index) => value === b[index])
+}
+
+// One cache for every instance, so panels on the same page share fetched histories
+const sharedHistoryCache = new HistoryCache()
+
+/**
+ * Custom element for displaying TPEN line history
+ * @class TPENLineHistory
+ * @extends HTMLElement
+ */
+class TPENLineHistory extends HTMLElement {
+    constructor() {
+        super()
+        this.attachShadow({ mode: 'open' })
+        this.shadowRoot.innerHTML = String(html`
+            <style>${trusted(STYLES)}</style>
+            <div class="sr-only" role="status" aria-live="polite"></div>
+            <div class="history-container"></div>
+        `)
+        this.container = this.shadowRoot.querySelector('.history-container')
+        this.liveRegion = this.shadowRoot.querySelector('[role="status"]')
+        this.currentLine = null
+        this.historyData = []
+        this.historyGraph = null
+        // Aborts the in-flight history fetch when the line changes or the element is removed
+        this.historyAbort = null
+        // Host-supplied history provider; see history-providers.js
+        this._historyProvider = null
+        // Cache in front of the provider; set to null to always fetch
+        this.historyCache = sharedHistoryCache
+        this._historySource = null
+        // The URI the shown history was fetched with, and whether a cached copy is being revalidated
+        this.historyUri = null
+        this.revalidating = false
+        // Sequence number of the latest line selection, and the state of its history fetch
+        this.lineRequest = 0
+        this.loadState = { status: 'idle' }
+        // Granularity of the inline diff between consecutive versions: 'word' or 'char'
+        this.diffGranularity = 'word'
+        // How versions are laid out: 'list' (newest first by timestamp) or 'graph' (version tree)
+        this.viewMode = 'list'
+        // Contributor ids to show; empty shows every contributor
+        this.contributorFilter = new Set()
+        this.memberIndex = new Map()
+        this.memberSource = undefined
+        // Versions whose bounding boxes are drawn on the page image, in selection order
+        this.overlayVersionIds = []
+        // The two versions shown side by side, compared from the first to the second
+        this.compareIds = []
+        // Resolved canvas images by canvas id; a Promise while loading, null if none was found
+        this.canvasImages = new Map()
+        // Optional host-supplied save function: async (annotation, context) => savedAnnotation
+        this.saveLine = null
+        // Version awaiting restore confirmation, and the status of an in-flight or failed restore
+        this.pendingRestoreId = null
+        this.restoreState = null
+        // Review annotations by version id, the version a comment or flag is being written for, and the status of saving a review
+        this.reviews = new Map()
+        this.reviewDraft = null
+        this.reviewState = null
+        // Version ids whose reviews are being fetched, so a page of older versions asks only about its own
+        this.reviewsLoading = new Set()
+        // Hide versions that have been approved or flagged
+        this.unreviewedOnly = false
+        // Host-supplied review store; see history-reviews.js
+        this._reviewStore = null
+        // Page or project change feed, and whether it is shown instead of a single line's history
+        this.feed = null
+        this.showingFeed = false
+        // Project fetched for a standalone view, for its manifest and members when no TPEN project is active
+        this.standaloneProject = null
+        // Problems with a shared link, shown in the panel: the project that failed to load, and a version the line lacks
+        this.standaloneProjectError = null
+        this.missingVersionId = null
+        // A version asked for by openLine(), kept with its line until the history has loaded and it is shown or found missing
+        this.requestedVersion = null
+        // Ids of versions added by a live save, highlighted as they arrive
+        this.freshVersionIds = new Set()
+        // The version the user last selected, reported through version-selected
+        this.selectedVersionId = null
+        // The card that keeps the list's single tab stop
+        this.focusedVersionId = null
+        this.tabStopId = null
+        // Pages of versions shown, whether the source has versions older than those loaded, and the state of fetching them
+        this.historyPages = 1
+        this.hasOlderVersions = false
+        this.olderState = null
+        // Cards are built once they scroll into view; until then they are empty placeholders
+        this.renderedCardIds = new Set()
+        // Markup of each built card by version id, with the state it was built from; see renderHistoryItem()
+        this.cardCache = new Map()
+        this.cardObserver = typeof IntersectionObserver === 'undefined'
+            ? null
+            : new IntersectionObserver(entries => this.revealCards(entries), { rootMargin: '200px 0px' })
+        this.renderFrame = null
+        // Moment shown by the timeline scrubber, null for the latest version, and the playback timer
+        this.timelineTime = null
+        this.timelinePlayer = null
+        this.dispatcherListenersReady = false
+        this.shadowRoot.addEventListener('click', (event) => this.handleClick(event))
+        this.shadowRoot.addEventListener('input', (event) => this.handleInput(event))
+        this.shadowRoot.addEventListener('keydown', (event) => this.handleKeydown(event))
+        this.shadowRoot.addEventListener('focusin', (event) => this.handleFocus(event))
+        // Hosts without the TPEN event dispatcher can drive the component directly
+        this.addEventListener('update-line', (event) => this.updateLine(event.detail))
+    }
+
+    static get observedAttributes() {
+        return ['line-uri', 'page-id', 'project-id', 'since', 'lang', 'reviews', 'version', 'rewrite-threshold']
+    }
+
+    connectedCallback() {
+        loadLineImage(this.getAttribute('line-image-src') ?? DEFAULT_LINE_IMAGE_SRC)
+        this.render()
+        if (this.standalone) {
+            this.loadStandalone()
+            return
+        }
+        this.setupEventListeners()
+        .then(() => {
+            if (this.feedScope) return this.loadChangeFeed()
+            if (this.hasAttribute('line-uri')) return this.openLine(this.getAttribute('line-uri'), this.getAttribute('version'))
+            return this.handleLineChange(TPEN?.activeLine)
+        })
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue === newValue || !this.isConnected) return
+        if (name === 'lang' || name === 'rewrite-threshold') {
+            this.render()
+            return
+        }
+        if (name === 'reviews') {
+            this.render()
+            this.loadReviews()
+            return
+        }
+        if (name === 'line-uri') {
+            this.updateLineUri(newValue)
+            return
+        }
+        if (name === 'version') {
+            if (newValue) this.showVersion(newValue)
+            return
+        }
+        this.loadChangeFeed()
+    }
+
+    /**
+     * Whether the element runs on its own, from the URL, without a TPEN session
+     * @returns {Boolean} True with the standalone attribute
+     */
+    get standalone() {
+        return this.hasAttribute('standalone')
+    }
+
+    /**
+     * The line, project and version a standalone view shows: the page URL's line, project and version
+     * parameters, falling back to the line-uri, project-id and version attributes
+     * @returns {{line: String|null, project: String|null, version: String|null}} The requested view
+     */
+    get standaloneParams() {
+        const params = new URLSearchParams(typeof location === 'undefined' ? '' : location.search)
+        return {
+            line: params.get('line') || this.getAttribute('line-uri'),
+            project: params.get('project') || this.getAttribute('project-id'),
+            version: params.get('version') || this.getAttribute('version')
+        }
+    }
+
+    /**
+     * The TPEN project whose pages the change feed covers, or that gives a standalone line its context
+     * @returns {String|null} The project id
+     */
+    get projectId() {
+        return this.standalone ? this.standaloneParams.project : this.getAttribute('project-id')
+    }
+
+    /**
+     * The active TPEN project, or the project fetched for a standalone view
+     * @returns {Object|null} The project
+     */
+    get project() {
+        return TPEN?.activeProject ?? this.standaloneProject
+    }
+
+    /**
+     * The scope of the change feed requested by attributes
+     * @returns {String|null} 'page', 'project', or null for single-line history
+     */
+    get feedScope() {
+        if (this.hasAttribute('page-id')) return 'page'
+        // A standalone link to a line shows that line; its project is only context
+        if (this.standalone && this.standaloneParams.line) return null
+        if (this.projectId) return 'project'
+        return null
+    }
+
+    /**
+     * Whether versions can be restored: always inside TPEN, and in a standalone view only through a host saveLine
+     * @returns {Boolean} True if restore controls are shown
+     */
+    get canRestore() {
+        return !this.standalone || Boolean(this.saveLine)
+    }
+
+    disconnectedCallback() {
+        // Abort any in-flight history fetch to prevent memory leaks
+        this.historyAbort?.abort()
+        this.historyAbort = null
+        this.cardObserver?.disconnect()
+        this.stopPlayback()
+        if (this.renderFrame) cancelAnimationFrame(this.renderFrame)
+        this.renderFrame = null
+    }
+
+    /**
+     * The language of the interface: the lang attribute, then the TPEN user's language, then the page's
+     * @returns {String} A language tag
+     */
+    get locale() {
+        const user = TPEN?.currentUser
+        return this.getAttribute('lang') || user?.profile?.language || user?.language ||
+            document.documentElement.lang || navigator.language || 'en'
+    }
+
+    /**
+     * Translate a message into the interface language
+     * @param {String} key - The message key
+     * @param {Object} [params] - Placeholder values; `count` also chooses the plural form
+     * @returns {String} The message
+     */
+    t(key, params) {
+        return translate(this.locale, key, params)
+    }
+
+    /**
+     * Versions per page of the "Load older versions" pager, from the page-size attribute
+     * @returns {Number} The page size
+     */
+    get pageSize() {
+        const size = Number.parseInt(this.getAttribute('page-size'), 10)
+        return size > 0 ? size : DEFAULT_PAGE_SIZE
+    }
+
+    /**
+     * How many of the newest versions are shown
+     * @returns {Number} The number of versions
+     */
+    get shownCount() {
+        return this.pageSize * this.historyPages
+    }
+
+    /**
+     * The source of line histories. Defaults to RERUM, or to a static JSON fixture when the
+     * history-provider attribute is "static" and history-src names the fixture.
+     * @type {{fetchHistory: Function}}
+     */
+    get historyProvider() {
+        if (this._historyProvider) return this._historyProvider
+        this._historyProvider = this.getAttribute('history-provider') === 'static'
+            ? new StaticHistoryProvider(this.getAttribute('history-src') ?? {})
+            : new RerumHistoryProvider({
+                ...(this.hasAttribute('rerum-history-src') && { src: this.getAttribute('rerum-history-src') }),
+                pageSize: this.pageSize
+            })
+        return this._historyProvider
+    }
+
+    set historyProvider(provider) {
+        this._historyProvider = provider
+    }
+
+    /**
+     * Where reviews are read from and saved to: a host-supplied store, an in-memory store with
+     * review-store="memory", or RERUM
+     * @type {{fetchReviews: Function, saveReview: Function}}
+     */
+    get reviewStore() {
+        if (this._reviewStore) return this._reviewStore
+        this._reviewStore = this.getAttribute('review-store') === 'memory'
+            ? new MemoryReviewStore()
+            : new RerumReviewStore({ api: this.getAttribute('review-api') ?? undefined, getToken: () => TPEN?.getAuthorization?.() })
+        return this._reviewStore
+    }
+
+    set reviewStore(store) {
+        this._reviewStore = store
+        this.reviews = new Map()
+        this.reviewsLoading = new Set()
+        if (this.isConnected) this.loadReviews()
+    }
+
+    /**
+     * Whether the review controls are shown, via the reviews attribute or a host-supplied store
+     * @returns {Boolean} True to show reviews
+     */
+    get reviewsEnabled() {
+        return this.hasAttribute('reviews') || Boolean(this._reviewStore)
+    }
+
+    /**
+     * The provider histories are actually fetched from: the history provider behind the cache
+     * @type {{fetchHistory: Function, peek?: Function}}
+     */
+    get historySource() {
+        if (!this.historyCache) return this.historyProvider
+        const source = this._historySource
+        if (source?.provider !== this.historyProvider || source?.cache !== this.historyCache) {
+            this._historySource = new CachedHistoryProvider(this.historyProvider, this.historyCache)
+        }
+        return this._historySource
+    }
+
+    /**
+     * Setup event listeners for TPEN.eventDispatcher
+     */
+    async setupEventListeners() {
+        // Ensure TPEN is loaded before setting up event listeners
+        await this.ensureTPEN()
+        
+        // Register once; reconnecting the element must not stack duplicate listeners
+        if (TPEN?.eventDispatcher && !this.dispatcherListenersReady) {
+            this.dispatcherListenersReady = true
+            // Listen for active line changes from TPEN.eventDispatcher
+            TPEN.eventDispatcher.on('tpen-active-line-updated', (event) => {
+                this.handleLineChange(event.detail)
+            })
+            TPEN.eventDispatcher.on('line-selected', (event) => {
+                this.updateLine(event.detail)
+            })
+            // Add newly saved versions of the current line as they arrive
+            TPEN.eventDispatcher.on('tpen-transcription-line-save-success', (event) => {
+                this.addSavedVersion(event.detail?.line ?? event.detail?.annotation ?? event.detail)
+            })
+            TPEN.eventDispatcher.on('line-updated', (event) => {
+                this.addSavedVersion(event.detail)
+            })
+        }
+    }
+
+    /**
+     * Show the history of a line
+     * @param {Object} lineData - The line data object
+     * @returns {Promise<void>} Resolves once the history is rendered
+     */
+    updateLine(lineData) {
+        return this.handleLineChange(lineData)
+    }
+
+    /**
+     * Show the history of the line at a URI, or clear the component for an empty URI
+     * @param {String|null} uri - The line URI
+     * @returns {Promise<void>} Resolves once the history is rendered
+     */
+    updateLineUri(uri) {
+        if (!uri) {
+            this.clear()
+            return Promise.resolve()
+        }
+        if (this.getVersionId(this.currentLine) === uri) return Promise.resolve()
+        return this.updateLine({ '@id': uri, uri })
+    }
+
+    /**
+     * Show the history of the line at a URI, then select one of its versions
+     * @param {String} uri - The line URI
+     * @param {String|null} [versionId] - The version to select and scroll to
+     * @returns {Promise<void>} Resolves once the version is shown
+     */
+    async openLine(uri, versionId = null) {
+        this.requestedVersion = versionId ? { line: uri, versionId } : null
+        await this.updateLineUri(uri)
+        await this.showRequestedVersion()
+    }
+
+    /**
+     * Show the version asked for by openLine(), once its line's history has loaded
+     * @returns {Promise<void>} Resolves once the version is shown, or immediately if there is none to show yet
+     */
+    async showRequestedVersion() {
+        const requested = this.pendingVersionId
+        if (requested && this.loadState.status === 'ready') await this.showVersion(requested)
+    }
+
+    /**
+     * The version asked for by openLine() if it belongs to the line shown
+     * @returns {String|null} The version id
+     */
+    get pendingVersionId() {
+        const { line, versionId } = this.requestedVersion ?? {}
+        return line && line === this.getVersionId(this.currentLine) ? versionId : null
+    }
+
+    /**
+     * Show the line, project and version named by the URL or attributes, without waiting for a TPEN session
+     * @returns {Promise<void>} Resolves once the history is rendered
+     */
+    async loadStandalone() {
+        const { line, project, version } = this.standaloneParams
+        if (!line) {
+            await this.loadChangeFeed()
+            return
+        }
+        if (project) this.loadStandaloneProject(project)
+        await this.openLine(line, version)
+    }
+
+    /**
+     * Fetch the project of a standalone line for its manifest and members; the history shows without it
+     * @param {String} projectId - The TPEN project id
+     */
+    async loadStandaloneProject(projectId) {
+        try {
+            this.standaloneProject = await this.fetchJSON(`${this.tpenServicesURL}/project/${projectId}`)
+            this.standaloneProjectError = null
+        } catch (error) {
+            console.warn('tpen-line-history: could not load project', projectId, error)
+            this.standaloneProjectError = { projectId, message: error?.message ?? String(error) }
+        }
+        this.render()
+    }
+
+    /**
+     * Select a version and scroll its card into view, loading older versions until it is found
+     * @param {String} versionId - The version id
+     * @returns {Promise<Boolean>} False if the line has no such version
+     */
+    async showVersion(versionId) {
+        const request = this.lineRequest
+        const indexOf = () => this.historyData.findIndex(item => this.getVersionId(item) === versionId)
+        while (indexOf() < 0 && this.hasOlderVersions && this.historySource.fetchOlder) {
+            const loaded = this.historyData.length
+            // Page past what is loaded, so the next page is fetched
+            this.historyPages = Math.ceil(loaded / this.pageSize)
+            await this.loadOlderVersions()
+            if (request !== this.lineRequest || this.historyData.length === loaded) break
+        }
+        if (request !== this.lineRequest) return false
+
+        if (this.pendingVersionId === versionId) this.requestedVersion = null
+        const index = indexOf()
+        if (index < 0) {
+            console.warn('tpen-line-history: no version', versionId, 'in the history of', this.getVersionId(this.currentLine))
+            this.missingVersionId = versionId
+            this.render()
+            this.syncUrl()
+            return false
+        }
+        this.historyPages = Math.max(this.historyPages, Math.ceil((index + 1) / this.pageSize))
+        this.selectVersion(versionId)
+        this.focusCard(versionId)
+        return true
+    }
+
+    /**
+     * Keep the page URL on the shown line and selected version, so a standalone view can be bookmarked and shared
+     */
+    syncUrl() {
+        if (!this.standalone || typeof location === 'undefined') return
+        const url = new URL(location.href)
+        const line = this.getVersionId(this.currentLine)
+        if (line) url.searchParams.set('line', line)
+        // Keep a requested version until the history has loaded; then drop a version the line does not have
+        const selected = this.historyData.some(item => this.getVersionId(item) === this.selectedVersionId)
+        const version = selected ? this.selectedVersionId : this.pendingVersionId
+        if (version) url.searchParams.set('version', version)
+        else url.searchParams.delete('version')
+        if (url.href !== location.href) history.replaceState(history.state, '', url)
+    }
+
+    /**
+     * Refetch the history of the current line, or the change feed if it is showing
+     * @returns {Promise<void>} Resolves once the history is rendered
+     */
+    refresh() {
+        if (this.feed && this.showingFeed) return this.loadChangeFeed()
+        if (!this.currentLine) return Promise.resolve()
+        // Reselect a requested version whose first load failed
+        return this.handleLineChange(this.currentLine).then(() => this.showRequestedVersion())
+    }
+
+    /**
+     * Forget the current line and its history
+     */
+    clear() {
+        this.lineRequest++
+        this.loadState = { status: 'idle' }
+        this.historyAbort?.abort()
+        this.historyAbort = null
+        this.currentLine = null
+        this.historyData = []
+        this.historyGraph = null
+        this.selectedVersionId = null
+        this.overlayVersionIds = []
+        this.compareIds = []
+        this.pendingRestoreId = null
+        this.restoreState = null
+        this.resetReviews()
+        this.resetPaging()
+        this.stopPlayback()
+        this.timelineTime = null
+        this.render()
+    }
+
+    /**
+     * Forget the reviews of the previous line
+     */
+    resetReviews() {
+        this.reviews = new Map()
+        this.reviewsLoading = new Set()
+        this.reviewDraft = null
+        this.reviewState = null
+    }
+
+    /**
+     * Return to the first page of versions with no cards built yet
+     */
+    resetPaging() {
+        this.historyPages = 1
+        this.hasOlderVersions = false
+        this.olderState = null
+        this.renderedCardIds = new Set()
+        this.cardCache = new Map()
+    }
+
+    /**
+     * Mark a version as selected
+     * @param {String} versionId - The version id
+     * @fires TPENLineHistory#version-selected
+     */
+    selectVersion(versionId) {
+        const index = this.historyData.findIndex(item => this.getVersionId(item) === versionId)
+        if (index < 0) return
+
+        this.selectedVersionId = versionId
+        this.missingVersionId = null
+        this.render()
+        this.syncUrl()
+        /**
+         * @event TPENLineHistory#version-selected
+         * @type {CustomEvent<{version: Object, index: Number, line: Object}>}
+         */
+        this.dispatchEvent(new CustomEvent('version-selected', {
+            detail: { version: this.historyData[index], index, line: this.currentLine },
+            bubbles: true,
+            composed: true
+        }))
+    }
+
+    /**
+     * Ensure TPEN is loaded and available
+     */
+    async ensureTPEN() {
+        // A standalone view only uses TPEN.js when tpen-src names it
+        return loadTPEN(this.getAttribute('tpen-src') ?? (this.standalone ? '' : DEFAULT_TPEN_SRC))
+    }
+
+    /**
+     * Handle line change events
+     * @param {Object} lineData - The line data from the event
+     */
+    async handleLineChange(lineData) {
+        if (!lineData) return
+        // Only the latest selection may render; earlier requests bail out after each await
+        const request = ++this.lineRequest
+
+        // Ensure TPEN is available for any operations that might need it
+        await this.ensureTPEN()
+        if (request !== this.lineRequest) return
+
+        if (this.getVersionId(lineData) !== this.getVersionId(this.currentLine)) {
+            this.selectedVersionId = null
+            this.overlayVersionIds = []
+            this.compareIds = []
+            this.pendingRestoreId = null
+            this.restoreState = null
+            this.missingVersionId = null
+            this.resetReviews()
+            // Never show the previous line's history under the new selection
+            this.historyData = []
+            this.historyGraph = null
+            this.resetPaging()
+            this.stopPlayback()
+            this.timelineTime = null
+        }
+        this.currentLine = lineData
+        this.showingFeed = false
+        this.loadState = { status: 'loading' }
+        this.render()
+        this.syncUrl()
+
+        // Fetch history for this line
+        await this.fetchLineHistory(lineData, request)
+        if (request !== this.lineRequest) return
+        this.render()
+        if (this.loadState.status === 'ready') {
+            const count = this.historyData.length
+            this.announce(this.t('announceHistory', { count, text: this.getLineText(this.historyData[0]) || this.t('empty') }))
+            this.loadReviews(request)
+        }
+    }
+
+    /**
+     * Handle clicks on controls inside the shadow root
+     * @param {Event} event - The click event
+     */
+    handleClick(event) {
+        const control = event.target.closest('[data-action]')
+        if (!control) {
+            // A click anywhere else on a card selects that version
+            const card = event.target.closest('.history-item[data-version-id]')
+            if (card && !event.target.closest('label, details, a, textarea')) this.selectVersion(card.dataset.versionId)
+            return
+        }
+
+        switch (control.dataset.action) {
+            case 'diff-granularity':
+                this.setDiffGranularity(control.dataset.value)
+                break
+            case 'view-mode':
+                this.setViewMode(control.dataset.value)
+                break
+            case 'toggle-contributor':
+                this.toggleContributor(control.dataset.contributorId)
+                break
+            case 'clear-contributors':
+                this.contributorFilter.clear()
+                this.render()
+                break
+            case 'toggle-overlay':
+                this.toggleOverlay(control.dataset.versionId)
+                break
+            case 'clear-overlay':
+                this.overlayVersionIds = []
+                this.render()
+                break
+            case 'open-feed-entry':
+                this.openFeedEntry(Number(control.dataset.feedIndex))
+                break
+            case 'retry':
+                this.refresh()
+                break
+            case 'retry-project':
+                this.loadStandaloneProject(this.standaloneProjectError.projectId)
+                break
+            case 'dismiss-missing-version':
+                this.missingVersionId = null
+                this.render()
+                break
+            case 'show-feed':
+                this.showingFeed = true
+                this.render()
+                break
+            case 'export':
+                this.downloadHistory(control.dataset.format)
+                control.closest('details')?.removeAttribute('open')
+                break
+            case 'restore':
+                this.pendingRestoreId = control.dataset.versionId
+                this.restoreState = null
+                this.render()
+                break
+            case 'restore-cancel':
+                this.pendingRestoreId = null
+                this.restoreState = null
+                this.render()
+                break
+            case 'restore-confirm':
+                this.restoreVersion(control.dataset.versionId)
+                break
+            case 'load-older':
+                this.loadOlderVersions()
+                break
+            case 'review':
+                // Approval needs no text; comments and flags open a form first
+                if (control.dataset.review === 'approve') {
+                    this.reviewVersion(control.dataset.versionId, 'approve')
+                } else {
+                    this.reviewDraft = { versionId: control.dataset.versionId, action: control.dataset.review }
+                    this.reviewState = null
+                    this.render()
+                    this.container.querySelector('.review-form textarea')?.focus()
+                }
+                break
+            case 'review-submit': {
+                const comment = control.closest('.review-form')?.querySelector('textarea')?.value ?? ''
+                this.reviewVersion(this.reviewDraft.versionId, this.reviewDraft.action, comment)
+                break
+            }
+            case 'review-cancel':
+                this.reviewDraft = null
+                this.render()
+                break
+            case 'unreviewed-only':
+                this.unreviewedOnly = !this.unreviewedOnly
+                this.render()
+                break
+            case 'toggle-compare':
+                this.toggleCompare(control.dataset.versionId)
+                break
+            case 'compare':
+                // Opens on the first version against the current one
+                if (this.compareIds.length === 2) this.compareVersions(null, null)
+                else this.compareVersions(this.getVersionId(this.historyData.at(-1)), this.getVersionId(this.historyData[0]))
+                break
+            case 'compare-swap':
+                this.compareVersions(this.compareIds[1], this.compareIds[0])
+                break
+            case 'compare-close':
+                this.compareVersions(null, null)
+                break
+            case 'timeline-play':
+                this.togglePlayback()
+                break
+            case 'timeline-seek':
+                this.stopPlayback()
+                this.scrubTo(Number(control.dataset.time))
+                break
+        }
+    }
+
+    /**
+     * Keyboard navigation: arrow keys, Home and End move between version cards; on a focused card,
+     * Enter or Space selects it, R restores it, C ticks it for comparison and O adds it to the overlay.
+     * Escape cancels a pending restore or closes the comparison.
+     * @param {KeyboardEvent} event - The keydown event
+     */
+    handleKeydown(event) {
+        if (event.altKey || event.ctrlKey || event.metaKey) return
+        const card = event.target.closest('.history-item[data-version-id]')
+
+        if (event.key === 'Escape') {
+            if (this.reviewDraft) {
+                const { versionId } = this.reviewDraft
+                this.reviewDraft = null
+                this.render()
+                this.focusCard(versionId)
+            } else if (this.pendingRestoreId) {
+                const versionId = this.pendingRestoreId
+                this.pendingRestoreId = null
+                this.focusCard(versionId)
+            } else if (this.compareIds.length > 0) {
+                this.compareVersions(null, null)
+            }
+            return
+        }
+        // Keys typed into controls inside a card belong to those controls
+        if (!card || event.target !== card) return
+
+        // Arrow keys skip the cards the list hides
+        const cards = [...this.container.querySelectorAll(this.viewMode === 'graph' ? '.history-item[data-version-id]' : '.history-item[data-version-id]:not(.filtered-out)')]
+        const position = cards.indexOf(card)
+        const moves = { ArrowDown: position + 1, ArrowUp: position - 1, Home: 0, End: cards.length - 1 }
+        if (event.key in moves) {
+            event.preventDefault()
+            const next = cards[Math.max(0, Math.min(cards.length - 1, moves[event.key]))]
+            this.focusCard(next.dataset.versionId)
+            return
+        }
+
+        const { versionId } = card.dataset
+        switch (event.key.toLowerCase()) {
+            case 'enter':
+            case ' ':
+                this.selectVersion(versionId)
+                break
+            case 'r':
+                if (!this.canRestore || versionId === this.getVersionId(this.historyData[0])) return
+                this.pendingRestoreId = versionId
+                this.restoreState = null
+                this.render()
+                card.querySelector('[data-action="restore-confirm"]')?.focus()
+                break
+            case 'c':
+                this.toggleCompare(versionId)
+                break
+            case 'o':
+                this.toggleOverlay(versionId)
+                break
+            default:
+                return
+        }
+        event.preventDefault()
+    }
+
+    /**
+     * Keep the list's tab stop on the card that last had focus
+     * @param {FocusEvent} event - The focusin event
+     */
+    handleFocus(event) {
+        const card = event.target.closest('.history-item[data-version-id]')
+        if (!card || card.dataset.versionId === this.focusedVersionId) return
+        this.focusedVersionId = card.dataset.versionId
+        if (this.tabStopId !== this.focusedVersionId) this.render()
+    }
+
+    /**
+     * Move focus to a version's card, building it first if it is still a placeholder
+     * @param {String} versionId - The version id
+     */
+    focusCard(versionId) {
+        this.focusedVersionId = versionId
+        this.renderedCardIds.add(versionId)
+        this.render()
+        const card = [...this.container.querySelectorAll('.history-item[data-version-id]')].find(item => item.dataset.versionId === versionId)
+        card?.focus()
+        card?.scrollIntoView({ block: 'nearest' })
+    }
+
+    /**
+     * Announce a message to screen readers through the live region
+     * @param {String} message - The message
+     */
+    announce(message) {
+        this.liveRegion.textContent = message
+    }
+
+    /**
+     * Handle input from controls inside the shadow root
+     * @param {Event} event - The input event
+     */
+    handleInput(event) {
+        if (event.target.matches('.timeline-scrubber')) {
+            this.stopPlayback()
+            this.scrubTo(Number(event.target.value))
+        } else if (event.target.matches('.compare-select')) {
+            const ids = [...this.compareIds]
+            ids[Number(event.target.dataset.slot)] = event.target.value
+            this.compareVersions(...ids)
+        }
+    }
+
+    /**
+     * Show two versions side by side, or close the comparison
+     * @param {String|null} fromId - The version compared from; null to close
+     * @param {String|null} toId - The version compared to; null to close
+     */
+    compareVersions(fromId, toId) {
+        this.compareIds = fromId && toId ? [fromId, toId] : []
+        this.render()
+    }
+
+    /**
+     * Tick or untick a version for comparison; ticking a third replaces the earliest ticked.
+     * Two ticked versions are compared oldest to newest.
+     * @param {String} versionId - The version id
+     */
+    toggleCompare(versionId) {
+        if (!versionId) return
+        const ids = this.compareIds.includes(versionId)
+            ? this.compareIds.filter(id => id !== versionId)
+            : [...this.compareIds, versionId].slice(-2)
+        const timestamp = id => this.getTimestamp(this.historyData.find(item => this.getVersionId(item) === id))
+        this.compareIds = ids.sort((a, b) => timestamp(a) - timestamp(b))
+        this.render()
+    }
+
+    /**
+     * Show the line as it was at a moment on the timeline
+     * @param {Number|null} time - Milliseconds, or null for the latest version
+     */
+    scrubTo(time) {
+        this.timelineTime = time
+        this.render()
+    }
+
+    /**
+     * Start stepping through versions oldest to newest, or pause if already playing
+     */
+    togglePlayback() {
+        if (this.timelinePlayer) {
+            this.stopPlayback()
+            this.render()
+            return
+        }
+
+        const ticks = timelineTicks(this.historyData, item => this.getTimestamp(item))
+        if (ticks.length < 2) return
+        // Resume from the version after the one shown, or start over from the end
+        const shown = this.timelineTime === null ? ticks.length - 1 : ticks.indexOf(tickAt(ticks, this.timelineTime))
+        let step = shown >= ticks.length - 1 ? 0 : shown + 1
+
+        this.timelinePlayer = setInterval(() => {
+            step++
+            if (step >= ticks.length) {
+                this.stopPlayback()
+                this.scrubTo(null)
+                return
+            }
+            this.scrubTo(ticks[step].timestamp)
+        }, TIMELINE_STEP_MS)
+        this.scrubTo(ticks[step].timestamp)
+    }
+
+    /**
+     * Stop timeline playback
+     */
+    stopPlayback() {
+        clearInterval(this.timelinePlayer)
+        this.timelinePlayer = null
+    }
+
+    /**
+     * Show the next page of older versions, fetching them from the history source if they are not loaded yet
+     */
+    async loadOlderVersions() {
+        this.historyPages++
+        if (this.historyData.length >= this.shownCount || !this.hasOlderVersions || !this.historySource.fetchOlder) {
+            this.render()
+            return
+        }
+
+        const request = this.lineRequest
+        this.olderState = { status: 'loading' }
+        this.render()
+        try {
+            const { items, hasOlder = false } = await this.historySource.fetchOlder(this.historyUri, {
+                before: this.historyData.at(-1),
+                signal: this.historyAbort?.signal
+            })
+            if (request !== this.lineRequest) return
+            const known = new Set(this.historyData.map(item => this.getVersionId(item)))
+            this.historyData = this.sortNewestFirst([...this.historyData, ...items.filter(item => !known.has(this.getVersionId(item)))])
+            this.hasOlderVersions = hasOlder
+            this.olderState = null
+            this.loadReviews(request)
+        } catch (error) {
+            if (request !== this.lineRequest) return
+            console.warn('tpen-line-history: could not load older versions:', error)
+            this.historyPages--
+            this.olderState = { status: 'error', message: error?.message ?? String(error) }
+        }
+        this.render()
+    }
+
+    /**
+     * Build the cards that have scrolled into view
+     * @param {Array<IntersectionObserverEntry>} entries - Observed placeholder cards
+     */
+    revealCards(entries) {
+        const revealed = entries.filter(entry => entry.isIntersecting).map(entry => entry.target.dataset.versionId)
+        if (revealed.length === 0) return
+        revealed.forEach(id => this.renderedCardIds.add(id))
+        this.scheduleRender()
+    }
+
+    /**
+     * Render on the next animation frame, once however many times it is requested
+     */
+    scheduleRender() {
+        this.renderFrame ??= requestAnimationFrame(() => {
+            this.renderFrame = null
+            this.render()
+        })
+    }
+
+    /**
+     * Whether a version's card is built, or left as a placeholder until it scrolls into view
+     * @param {String} versionId - The version id
+     * @param {Number} index - Position of the version in historyData
+     * @returns {Boolean} True to build the card
+     */
+    isCardRendered(versionId, index) {
+        return !this.cardObserver || index < EAGER_CARDS || this.renderedCardIds.has(versionId)
+    }
+
+    /**
+     * Switch between the flat list and the version graph
+     * @param {String} mode - 'list' or 'graph'
+     */
+    setViewMode(mode) {
+        if (!['list', 'graph'].includes(mode) || mode === this.viewMode) return
+        this.viewMode = mode
+        this.render()
+    }
+
+    /**
+     * Add or remove a contributor from the filter
+     * @param {String} contributorId - The contributor id
+     */
+    toggleContributor(contributorId) {
+        if (!contributorId) return
+        if (!this.contributorFilter.delete(contributorId)) {
+            this.contributorFilter.add(contributorId)
+        }
+        this.render()
+    }
+
+    /**
+     * Add or remove a version from the bounding-box overlay
+     * @param {String} versionId - The version id
+     */
+    toggleOverlay(versionId) {
+        if (!versionId) return
+        this.overlayVersionIds = this.overlayVersionIds.includes(versionId)
+            ? this.overlayVersionIds.filter(id => id !== versionId)
+            : [...this.overlayVersionIds, versionId]
+        this.render()
+    }
+
+    /**
+     * Resolve the image painted on a canvas, from the project manifest or the canvas itself.
+     * Renders again once the image is known.
+     * @param {Object} iiifContext - Manifest and canvas from getIIIFContext()
+     * @returns {Object|null|undefined} The canvas image, null if none could be found, undefined while loading
+     */
+    getCanvasImage({ manifest, canvas }) {
+        if (!canvas) return null
+        const cached = this.canvasImages.get(canvas)
+        if (!(cached instanceof Promise) && cached !== undefined) return cached
+        if (cached) return undefined
+
+        const load = (async () => {
+            for (const url of [manifest, canvas].filter(Boolean)) {
+                try {
+                    const response = await fetch(url)
+                    if (!response.ok) continue
+                    const found = findCanvasImage(await response.json(), canvas)
+                    if (found) return found
+                } catch (error) {
+                    console.warn('tpen-line-history: could not resolve canvas image from', url, error)
+                }
+            }
+            return null
+        })()
+        this.canvasImages.set(canvas, load)
+        load.then(image => {
+            this.canvasImages.set(canvas, image)
+            if (this.overlayVersionIds.length) this.render()
+        })
+        return undefined
+    }
+
+    /**
+     * Index the project's members by id, again only when the project's collaborators change
+     */
+    updateMemberIndex() {
+        const collaborators = this.project?.collaborators
+        if (collaborators === this.memberSource) return
+        this.memberSource = collaborators
+        this.memberIndex = indexMembers(collaborators)
+    }
+
+    /**
+     * Resolve who made a version, using TPEN project members where possible
+     * @param {Object} item - The version object
+     * @returns {Object} Contributor with id, name and avatar
+     */
+    getContributor(item) {
+        const contributor = resolveContributor(item, this.memberIndex)
+        return contributor === UNKNOWN_CONTRIBUTOR ? { ...contributor, name: this.t('unknownContributor') } : contributor
+    }
+
+    /**
+     * Serialize the current line's history
+     * @param {String} format - 'jsonld', 'csv' or 'tei'
+     * @returns {String} The serialized history
+     */
+    exportHistory(format) {
+        this.updateMemberIndex()
+        return serializeHistory(format, this.historyData, {
+            getId: item => this.getVersionId(item),
+            getTimestamp: item => this.getTimestamp(item),
+            getText: item => this.getLineText(item),
+            getBounding: item => this.getLineBounding(item),
+            getContributor: item => this.getContributor(item),
+            getCanvas: item => this.getLineImageSource(item)
+        }, { lineUri: this.getVersionId(this.currentLine) ?? this.currentLine?.uri ?? null })
+    }
+
+    /**
+     * Download the current line's history as a file
+     * @param {String} format - 'jsonld', 'csv' or 'tei'
+     */
+    downloadHistory(format) {
+        const { mediaType, extension } = EXPORT_FORMATS[format] ?? {}
+        if (!mediaType || this.historyData.length === 0) return
+
+        const url = URL.createObjectURL(new Blob([this.exportHistory(format)], { type: mediaType }))
+        const name = (this.getVersionId(this.historyData[0]) ?? 'line').split('/').pop()
+        const link = document.createElement('a')
+        link.href = url
+        link.download = `${name}-history.${extension}`
+        link.click()
+        setTimeout(() => URL.revokeObjectURL(url), 0)
+    }
+
+    /**
+     * Get the identifier of a version
+     * @param {Object} item - The version object
+     * @returns {String|undefined} The version id
+     */
+    getVersionId(item) {
+        return getVersionId(item)
+    }
+
+    /**
+     * Restore a previous version by saving its text and selector as a new version of the current line
+     * @param {String} versionId - The id of the version to restore
+     * @fires TPENLineHistory#tpen-line-history-restored
+     */
+    async restoreVersion(versionId) {
+        const version = this.historyData.find(item => this.getVersionId(item) === versionId)
+        const current = this.historyData[0] ?? this.currentLine
+        if (!version || !current) return
+
+        this.pendingRestoreId = null
+        this.restoreState = { versionId, status: 'saving' }
+        this.render()
+        const request = this.lineRequest
+
+        try {
+            const annotation = this.buildRestoredAnnotation(current, version)
+            const context = { current, version }
+            const saved = this.saveLine
+                ? await this.saveLine(annotation, context)
+                : await this.saveLineToTPEN(annotation)
+
+            this.restoreState = null
+            const detail = { line: saved ?? annotation, restoredFrom: version, previous: current }
+            /**
+             * Restored event, also dispatched through TPEN.eventDispatcher
+             * @event TPENLineHistory#tpen-line-history-restored
+             * @type {CustomEvent<{line: Object, restoredFrom: Object, previous: Object}>}
+             */
+            this.dispatchEvent(new CustomEvent('tpen-line-history-restored', { detail, bubbles: true, composed: true }))
+            TPEN?.eventDispatcher?.dispatchEvent(new CustomEvent('tpen-line-history-restored', { detail }))
+
+            // The restore is saved either way, but a line selected meanwhile stays shown
+            if (request !== this.lineRequest) return
+            await this.handleLineChange(detail.line)
+        } catch (error) {
+            console.warn('tpen-line-history: restore failed:', error)
+            if (request !== this.lineRequest) return
+            this.restoreState = { versionId, status: 'error', message: error?.message ?? String(error) }
+            this.render()
+        }
+    }
+
+    /**
+     * Build the annotation to save when restoring a version: the current line with the
+     * restored version's body and target selector
+     * @param {Object} current - The current version of the line
+     * @param {Object} version - The version being restored
+     * @returns {Object} The annotation to save
+     */
+    buildRestoredAnnotation(current, version) {
+        const annotation = structuredClone(current)
+        delete annotation.__rerum
+        const restoredTarget = version.target ?? version.on
+        const targetKey = 'target' in annotation || !('on' in annotation) ? 'target' : 'on'
+        const currentTarget = annotation[targetKey]
+
+        if (version.body !== undefined) {
+            annotation.body = structuredClone(version.body)
+        } else {
+            annotation.body = { type: 'TextualBody', value: this.getLineText(version), format: 'text/plain' }
+        }
+
+        if (restoredTarget?.selector && currentTarget && typeof currentTarget === 'object') {
+            annotation[targetKey] = { ...currentTarget, selector: structuredClone(restoredTarget.selector) }
+        } else if (restoredTarget !== undefined) {
+            annotation[targetKey] = structuredClone(restoredTarget)
+        }
+
+        return annotation
+    }
+
+    /**
+     * Fetch the reviews of loaded versions whose reviews are not known yet
+     * @param {Number} [request] - The line selection the versions belong to
+     */
+    async loadReviews(request = this.lineRequest) {
+        if (!this.reviewsEnabled) return
+        const ids = this.historyData.map(item => this.getVersionId(item)).filter(id => id && !this.reviews.has(id) && !this.reviewsLoading.has(id))
+        if (ids.length === 0) return
+
+        const loading = this.reviewsLoading
+        ids.forEach(id => loading.add(id))
+        try {
+            const grouped = groupReviews(await this.reviewStore.fetchReviews(ids, { signal: this.historyAbort?.signal }))
+            if (request !== this.lineRequest) return
+            ids.forEach(id => this.reviews.set(id, grouped.get(id) ?? []))
+            this.render()
+        } catch (error) {
+            if (request !== this.lineRequest) return
+            console.warn('tpen-line-history: could not load reviews:', error)
+        } finally {
+            ids.forEach(id => loading.delete(id))
+        }
+    }
+
+    /**
+     * Comment on, approve or flag a version, saved as a Web Annotation targeting the version's id
+     * @param {String} versionId - The id of the version
+     * @param {String} action - 'comment', 'approve' or 'flag'
+     * @param {String} [comment] - The comment text
+     * @fires TPENLineHistory#tpen-line-history-reviewed
+     */
+    async reviewVersion(versionId, action, comment = '') {
+        const version = this.historyData.find(item => this.getVersionId(item) === versionId)
+        if (!version || !REVIEW_ACTIONS[action]) return
+        if (action === 'comment' && !comment.trim()) return
+
+        const request = this.lineRequest
+        this.reviewState = { versionId, status: 'saving' }
+        this.render()
+
+        try {
+            await this.ensureTPEN()
+            const user = TPEN?.currentUser
+            const creator = user?.agent ?? user?._id ?? null
+            const saved = await this.reviewStore.saveReview(buildReview(versionId, action, { comment, creator }))
+            if (request !== this.lineRequest) return
+
+            this.reviews.set(versionId, [...(this.reviews.get(versionId) ?? []), saved])
+            this.reviewDraft = null
+            this.reviewState = null
+            const index = this.historyData.indexOf(version)
+            this.announce(this.t({ approve: 'announceApproved', flag: 'announceFlagged', comment: 'announceComment' }[action], { version: this.versionLabel(index) }))
+
+            const detail = { review: saved, version, line: this.currentLine }
+            /**
+             * Reviewed event, also dispatched through TPEN.eventDispatcher
+             * @event TPENLineHistory#tpen-line-history-reviewed
+             * @type {CustomEvent<{review: Object, version: Object, line: Object}>}
+             */
+            this.dispatchEvent(new CustomEvent('tpen-line-history-reviewed', { detail, bubbles: true, composed: true }))
+            TPEN?.eventDispatcher?.dispatchEvent(new CustomEvent('tpen-line-history-reviewed', { detail }))
+        } catch (error) {
+            if (request !== this.lineRequest) return
+            console.warn('tpen-line-history: review failed:', error)
+            this.reviewState = { versionId, status: 'error', message: error?.message ?? String(error) }
+        }
+        this.render()
+    }
+
+    /**
+     * Save an annotation as a new version of the line through the TPEN services API
+     * @param {Object} annotation - The annotation to save
+     * @returns {Promise<Object>} The saved annotation
+     */
+    async saveLineToTPEN(annotation) {
+        await this.ensureTPEN()
+        const projectId = TPEN?.activeProject?._id ?? TPEN?.screen?.projectInQuery
+        const pageId = TPEN?.screen?.pageInQuery
+        const lineId = this.getVersionId(annotation)?.split('/').pop()
+        if (!projectId || !pageId || !lineId) {
+            throw new Error('No TPEN project, page and line available to save to')
+        }
+
+        const token = TPEN.getAuthorization?.()
+        if (!token) throw new Error('You must be logged in to TPEN to restore a version')
+
+        const response = await fetch(`${this.tpenServicesURL}/project/${projectId}/page/${pageId}/line/${lineId}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${token}`
+            },
+            body: JSON.stringify(annotation)
+        })
+        if (!response.ok) {
+            throw new Error(`Save failed: ${response.status} ${response.statusText}`)
+        }
+        return response.json()
+    }
+
+    /**
+     * Switch the inline diff between word and character granularity
+     * @param {String} granularity - 'word' or 'char'
+     */
+    setDiffGranularity(granularity) {
+        if (!['word', 'char'].includes(granularity) || granularity === this.diffGranularity) return
+        this.diffGranularity = granularity
+        this.render()
+    }
+
+    /**
+     * Add a just-saved version of the current line to historyData without refetching the chain
+     * @param {Object} saved - The saved annotation
+     */
+    addSavedVersion(saved) {
+        const id = this.getVersionId(saved)
+        if (!id || !this.currentLine || !this.isVersionOfCurrentLine(saved)) return
+
+        // A new array, so values derived from the old one (such as change kinds) are recomputed;
+        // re-sorted, as a version saved again may carry a new timestamp
+        const others = this.historyData.filter(item => this.getVersionId(item) !== id)
+        this.historyData = this.sortNewestFirst([saved, ...others])
+        this.currentLine = saved
+        if (this.historyUri) this.historySource.store?.(this.historyUri, [...this.historyData], { hasOlder: this.hasOlderVersions })
+        this.freshVersionIds.add(id)
+        this.render()
+        this.announce(this.t('announceNewVersion', { name: this.getContributor(saved).name, text: this.getLineText(saved) || this.t('empty') }))
+        setTimeout(() => {
+            // Re-render so the card drops its highlight
+            if (this.freshVersionIds.delete(id)) this.render()
+        }, 2000)
+    }
+
+    /**
+     * Whether a version belongs to the history currently shown
+     * @param {Object} version - The version object
+     * @returns {Boolean} True if it shares an id, predecessor or RERUM prime with the shown history
+     */
+    isVersionOfCurrentLine(version) {
+        const ids = new Set([this.currentLine, ...this.historyData].map(item => this.getVersionId(item)).filter(Boolean))
+        const history = version.__rerum?.history
+        if (ids.has(this.getVersionId(version)) || ids.has(history?.previous)) return true
+
+        // The root version's prime is the literal 'root'; every later version names the root's id
+        const prime = history?.prime
+        return Boolean(prime) && prime !== 'root' && this.historyData.some(item => item.__rerum?.history?.prime === prime || this.getVersionId(item) === prime)
+    }
+
+    /**
+     * Fetch the history for a given line from the history provider
+     * @param {Object} lineData - The line data object
+     * @param {Number} [request] - The line request this fetch belongs to; stale requests leave state untouched
+     */
+    async fetchLineHistory(lineData, request = this.lineRequest) {
+        const isStale = () => request !== this.lineRequest
+        const uri = lineData.uri ?? this.getVersionId(lineData)
+        if (!uri) {
+            // No URI, so the line itself is all there is
+            this.historyData = [lineData]
+            this.historyGraph = null
+            this.hasOlderVersions = false
+            this.loadState = { status: 'ready' }
+            this.dispatchHistoryEvent('history-loaded', { line: lineData, history: this.historyData })
+            return
+        }
+
+        // Abort the previous fetch
+        this.historyAbort?.abort()
+        const abort = new AbortController()
+        this.historyAbort = abort
+        this.historyUri = uri
+
+        try {
+            // Show a cached copy at once, then revalidate it
+            const cached = await this.historySource.peek?.(uri)
+            if (isStale()) return
+            if (cached?.length) {
+                this.historyData = this.sortNewestFirst([...cached])
+                this.historyGraph = null
+                this.revalidating = true
+                this.render()
+            }
+
+            const { items, graph = null, hasOlder = false } = await this.historySource.fetchHistory(uri, { signal: abort.signal })
+            if (isStale()) return
+            this.revalidating = false
+            // A line the store has no versions of yet is its own history
+            this.historyData = this.sortNewestFirst(items.length > 0 ? [...items] : [lineData])
+            this.historyGraph = graph
+            this.hasOlderVersions = hasOlder
+            this.loadState = { status: 'ready' }
+            this.dispatchHistoryEvent('history-loaded', { line: lineData, history: this.historyData })
+        } catch (error) {
+            if (isStale()) return
+            console.warn('tpen-line-history: could not fetch line history:', error)
+            this.revalidating = false
+            // Any cached copy stays visible under the error
+            this.loadState = { status: 'error', message: error?.message ?? String(error) }
+            this.dispatchHistoryEvent('history-error', { line: lineData, error })
+        }
+    }
+
+    /**
+     * Dispatch a bubbling, composed event from the element
+     * @param {String} type - history-loaded or history-error
+     * @param {Object} detail - The event detail
+     * @fires TPENLineHistory#history-loaded
+     * @fires TPENLineHistory#history-error
+     */
+    dispatchHistoryEvent(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }))
+    }
+
+    /**
+     * Sort versions by timestamp, most recent first
+     * @param {Array<Object>} items - Version objects, sorted in place
+     * @returns {Array<Object>} The same array
+     */
+    sortNewestFirst(items) {
+        return items.sort((a, b) => this.getTimestamp(b) - this.getTimestamp(a))
+    }
+
+    /**
+     * Base URL of the TPEN services API
+     * @returns {String} The services URL
+     */
+    get tpenServicesURL() {
+        return this.getAttribute('tpen-api') ?? TPEN?.servicesURL ?? DEFAULT_TPEN_API
+    }
+
+    /**
+     * Base URL that bare RERUM ids are resolved against
+     * @returns {String} The URL, ending in a slash
+     */
+    get rerumIdURL() {
+        return (this.getAttribute('rerum-id-url') ?? DEFAULT_RERUM_ID_URL).replace(/\/*$/, '/')
+    }
+
+    /**
+     * Fetch a JSON document, sending TPEN authorization to the TPEN services API
+     * @param {String} url - The document URL
+     * @returns {Promise<Object>} The parsed document
+     */
+    async fetchJSON(url) {
+        const token = url.startsWith(this.tpenServicesURL) ? TPEN?.getAuthorization?.() : null
+        const response = await fetch(url, token ? { headers: { Authorization: `Bearer ${token}` } } : undefined)
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText} from ${url}`)
+        return response.json()
+    }
+
+    /**
+     * Load the combined change feed for the page or project named by the page-id / project-id attributes
+     */
+    async loadChangeFeed() {
+        const scope = this.feedScope
+        if (!scope) {
+            this.feed = null
+            this.showingFeed = false
+            this.render()
+            return
+        }
+
+        await this.ensureTPEN()
+        const request = {}
+        this.feedRequest = request
+        this.feed = { scope, status: 'loading', entries: [] }
+        this.showingFeed = true
+        this.render()
+
+        try {
+            const pages = await this.fetchFeedPages()
+            const lines = pages.flatMap(page => pageAnnotations(page.doc).map((annotation, index) => ({
+                annotation,
+                lineNumber: index + 1,
+                pageLabel: page.label
+            })))
+            const histories = await mapWithConcurrency(lines, 4, async entry => ({
+                ...entry,
+                ...await this.fetchAnnotationHistory(entry.annotation)
+            }))
+            if (request !== this.feedRequest) return
+
+            this.feed = {
+                scope,
+                status: 'ready',
+                entries: buildChangeFeed(histories, {
+                    getTimestamp: item => this.getTimestamp(item),
+                    since: parseSince(this.getAttribute('since'))
+                })
+            }
+        } catch (error) {
+            if (request !== this.feedRequest) return
+            console.warn('tpen-line-history: could not load change feed:', error)
+            this.feed = { scope, status: 'error', entries: [], message: error?.message ?? String(error) }
+        }
+        this.render()
+    }
+
+    /**
+     * Fetch the annotation pages covered by the feed
+     * @returns {Promise<Array<{doc: Object, label: String|null}>>} Page documents with labels
+     */
+    async fetchFeedPages() {
+        const pageId = this.getAttribute('page-id')
+        const { projectId } = this
+        if (pageId) return [await this.fetchPage(pageId, projectId)]
+
+        const project = await this.fetchJSON(`${this.tpenServicesURL}/project/${projectId}`)
+        const pages = (project.layers ?? []).flatMap(layer => layer.pages ?? [])
+        return mapWithConcurrency(pages, 4, page => this.fetchPage(page.id ?? page['@id'] ?? page, projectId, labelText(page.label)))
+    }
 
-        // Fetch history for this line
-        await this.fetchLineHistory(lineData)
-        this.render()
+    /**
+     * Fetch one annotation page, by URI or by TPEN page id
+     * @param {String} pageId - A page URI, or a TPEN page id
+     * @param {String|null} projectId - The TPEN project id, used to resolve bare page ids
+     * @param {String|null} [label] - A known label for the page
+     * @returns {Promise<{doc: Object, label: String|null}>} The page document and its label
+     */
+    async fetchPage(pageId, projectId, label = null) {
+        let url = pageId
+        if (!/^https?:/.test(pageId)) {
+            url = projectId
+                ? `${this.tpenServicesURL}/project/${projectId}/page/${pageId}`
+                : `${this.rerumIdURL}${pageId}`
+        }
+        const doc = await this.fetchJSON(url)
+        return { doc, label: label ?? labelText(doc.label) }
     }
 
-    // tpen-transcription-line-save-success event when a line is updated
+    /**
+     * Fetch the history of one annotation on a page
+     * @param {Object|String} annotation - The annotation or its id
+     * @returns {Promise<{line: Object, history: Array<Object>}>} The current line and its versions, newest first
+     */
+    async fetchAnnotationHistory(annotation) {
+        const uri = typeof annotation === 'string' ? annotation : this.getVersionId(annotation)
+        const fallback = typeof annotation === 'object' ? [annotation] : []
+        if (!uri) return { line: annotation, history: fallback }
+
+        try {
+            const { items } = await this.historySource.fetchHistory(uri)
+            const history = items.length > 0 ? this.sortNewestFirst([...items]) : fallback
+            return { line: typeof annotation === 'object' ? annotation : history[0], history }
+        } catch (error) {
+            console.warn('tpen-line-history: could not fetch history for', uri, error)
+            return { line: annotation, history: fallback }
+        }
+    }
 
     /**
-     * Fetch the history for a given line using RerumHistoryData
-     * @param {Object} lineData - The line data object
+     * Select a line from the change feed by dispatching the normal active-line event
+     * @param {Number} index - Index of the entry in the feed
      */
-    async fetchLineHistory(lineData) {
-        console.log('fetchLineHistory called with:', lineData)
-        // If the line has a URI, fetch its history using RerumHistoryData
-        if (lineData.uri || lineData['@id']) {
-            const uri = lineData.uri || lineData['@id']
-            console.log('Using URI for history fetch:', uri)
-            try {
-                // Clean up previous history data instance
-                if (this.rerumHistoryData) {
-                    this.rerumHistoryData.abort()
-                }
-                
-                this.rerumHistoryData = new RerumHistoryData(uri)
-                await this.rerumHistoryData.fetch()
-                
-                this.historyData = this.rerumHistoryData.getItems()
-                this.historyGraph = this.rerumHistoryData.getGraph()
-                
-                // Sort by timestamp (most recent first) if we don't have graph structure
-                if (this.historyData.length > 0) {
-                    this.historyData.sort((a, b) => {
-                        const timestampA = this.getTimestamp(a)
-                        const timestampB = this.getTimestamp(b)
-                        return timestampB - timestampA
-                    })
-                }
-            } catch (error) {
-                console.warn('Could not fetch line history with RerumHistoryData:', error)
-                // Fallback to simple array with current line
-                this.historyData = [lineData]
-                this.historyGraph = null
-            }
-        } else {
-            console.log('No URI found in line data, using fallback')
-            // No URI, just show current state
-            this.historyData = [lineData]
-            this.historyGraph = null
+    openFeedEntry(index) {
+        const entry = this.feed?.entries[index]
+        if (!entry) return
+
+        if (TPEN?.eventDispatcher) {
+            TPEN.eventDispatcher.dispatchEvent(new CustomEvent('tpen-active-line-updated', { detail: entry.line }))
+            return
         }
+        this.handleLineChange(entry.line)
     }
 
     /**
@@ -161,19 +2600,7 @@ class TPENLineHistory extends HTMLElement {
      * @returns {Number} Timestamp in milliseconds
      */
     getTimestamp(line) {
-        const createdAt = line?.__rerum?.createdAt ?? line?.createdAt ?? line?.modified ?? line?.created ?? line?.timestamp
-        const isOverwritten = line?.__rerum?.isOverwritten ?? line?.isOverwritten
-
-        const timestamps = [createdAt, isOverwritten].filter(Boolean).map(ts => {
-            if (typeof ts === 'string') {
-                const date = new Date(ts)
-                return isNaN(date.getTime()) ? null : date.getTime()
-            }
-            if (typeof ts === 'number') return ts
-            return null
-        }).filter(t => t !== null)
-
-        return timestamps.length > 0 ? Math.max(...timestamps) : 0
+        return getTimestamp(line)
     }
 
     /**
@@ -182,28 +2609,7 @@ class TPENLineHistory extends HTMLElement {
      * @returns {String} The text content
      */
     getLineText(line) {
-        // Handle IIIF annotation body structure
-        if (line.body) {
-            // If body is an object with value property (IIIF TextualBody)
-            if (typeof line.body === 'object' && line.body.value) {
-                return line.body.value
-            }
-            // If body is an array, look for TextualBody with value
-            if (Array.isArray(line.body)) {
-                for (const bodyItem of line.body) {
-                    if (bodyItem?.value) {
-                        return bodyItem.value
-                    }
-                }
-            }
-            // If body is a string
-            if (typeof line.body === 'string') {
-                return line.body
-            }
-        }
-
-        // Support various other text property names
-        return line.text ?? line.content ?? line['cnt:chars'] ?? line.value ?? ''
+        return getLineText(line)
     }
 
     /**
@@ -212,40 +2618,7 @@ class TPENLineHistory extends HTMLElement {
      * @returns {Object|null} The bounding box information
      */
     getLineBounding(line) {
-        // Support various bounding property structures
-        const target = line.target ?? line.on
-        if (target?.selector?.value) {
-            // Handle IIIF selector format
-            if (target.selector) {
-                const selector = target.selector
-                if (selector.value) {
-                    // xywh format: xywh=pixel:x,y,w,h or xywh=x,y,w,h
-                    const match = selector.value.match(/xywh=(?:pixel:)?(\d+),(\d+),(\d+),(\d+)/)
-                    if (match) {
-                        return {
-                            x: parseInt(match[1]),
-                            y: parseInt(match[2]),
-                            width: parseInt(match[3]),
-                            height: parseInt(match[4])
-                        }
-                    }
-                }
-            }
-        }
-
-        // Direct bounding box properties
-        if (line.x !== undefined && line.y !== undefined &&
-            (line.width !== undefined || line.w !== undefined) &&
-            (line.height !== undefined || line.h !== undefined)) {
-            return {
-                x: line.x,
-                y: line.y,
-                width: line.width ?? line.w,
-                height: line.height ?? line.h
-            }
-        }
-
-        return null
+        return getLineBounding(line)
     }
 
     /**
@@ -254,18 +2627,7 @@ class TPENLineHistory extends HTMLElement {
      * @returns {String|null} The image source URL
      */
     getLineImageSource(line) {
-        const target = line.target ?? line.on
-        if (target?.source) {
-            // Handle IIIF target format
-            return target.source
-        }
-        // Handle direct target URL
-        if (typeof target === 'string') {
-            return target
-        }
-
-        // Check for direct image properties
-        return line.image ?? line.src ?? line.source ?? null
+        return getLineImageSource(line)
     }
 
     /**
@@ -273,33 +2635,12 @@ class TPENLineHistory extends HTMLElement {
      * @returns {Object} Object with manifest and canvas URLs
      */
     getIIIFContext() {
-        // Get manifest from TPEN.activeProject (only if TPEN is loaded)
-        let manifest = null
-        if (TPEN?.activeProject?.manifest) {
-            const {manifest: projectManifest} = TPEN.activeProject
-            // Handle both string URL and array of URLs
-            if (typeof projectManifest === 'string') {
-                manifest = projectManifest
-            } else if (Array.isArray(projectManifest) && projectManifest[0]) {
-                manifest = projectManifest[0]
-            }
-        } else {
-            const manifestElement = this.closest('[iiif-manifest]')
-            if (manifestElement) {
-                manifest = manifestElement.getAttribute('iiif-manifest')
-            }
-        }
-
-        // Get canvas from current line target (annotation page canvas)
-        let canvas = null
-        if (this.currentLine) {
-            const target = this.currentLine.target ?? this.currentLine.on
-            if (target?.source) {
-                canvas = target.source
-            }
-        }
-
-        return { manifest, canvas }
+        return getIIIFContext({
+            // The active TPEN project or a standalone view's project; otherwise the nearest iiif-manifest attribute
+            project: this.project,
+            manifest: this.closest('[iiif-manifest]')?.getAttribute('iiif-manifest'),
+            line: this.currentLine
+        })
     }
 
     /**
@@ -308,29 +2649,29 @@ class TPENLineHistory extends HTMLElement {
      * @returns {String} Formatted date string
      */
     formatTimestamp(timestamp) {
-        if (!timestamp) return 'Unknown date'
-        const date = new Date(timestamp)
-        return date.toLocaleString()
+        if (!timestamp) return this.t('unknownDate')
+        return formatDate(timestamp, this.locale)
+    }
+
+    /**
+     * Render a timestamp as a <time> element with its ISO date, and how long ago it was for screen readers
+     * @param {Number} timestamp - Timestamp in milliseconds
+     * @returns {SafeHTML} Markup for the date
+     */
+    renderTime(timestamp) {
+        if (!timestamp) return html`${this.formatTimestamp(timestamp)}`
+        const ago = this.formatTimeAgo(timestamp)
+        return html`<time datetime="${new Date(timestamp).toISOString()}" title="${ago}">${this.formatTimestamp(timestamp)}<span class="sr-only">, ${ago}</span></time>`
     }
 
     /**
-     * Format time ago string like RerumHistoryTree
+     * Format how long ago a timestamp was, in the interface language
      * @param {Number} timestamp - Timestamp in milliseconds
      * @returns {String} Time ago string
      */
     formatTimeAgo(timestamp) {
         if (!timestamp) return ''
-
-        const now = Date.now()
-        const diff = now - timestamp
-        const minutes = Math.floor(diff / 60000)
-        const hours = Math.floor(diff / 3600000)
-        const days = Math.floor(diff / 86400000)
-
-        if (days > 0) return `${days} day${days > 1 ? 's' : ''} ago`
-        if (hours > 0) return `${hours} hour${hours > 1 ? 's' : ''} ago`
-        if (minutes > 0) return `${minutes} minute${minutes > 1 ? 's' : ''} ago`
-        return 'just now'
+        return formatRelativeTime(timestamp, this.locale)
     }
 
     /**
@@ -340,279 +2681,900 @@ class TPENLineHistory extends HTMLElement {
      * @returns {Boolean} True if boxes are different
      */
     boundingChanged(box1, box2) {
-        if (!box1 && !box2) return false
-        if (!box1 || !box2) return true
-        return box1.x !== box2.x || box1.y !== box2.y ||
-            box1.width !== box2.width || box1.height !== box2.height
+        return boundingChanged(box1, box2)
     }
 
     /**
-     * Render the component
+     * Render the text of a version as an inline diff against its predecessor
+     * @param {String} text - The text of this version
+     * @param {String|null} previousText - The text of the preceding version, or null for the first version
+     * @returns {SafeHTML} Markup for the diffed text
      */
-    render() {
-        const styles = `
-            :host {
-                display: block;
-                height: 100%;
-                overflow-y: auto;
-                font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
-                background: #f5f5f5;
+    renderTextDiff(text, previousText) {
+        if (previousText === null) return html`${text}`
+
+        return html`${diffText(previousText, text, this.diffGranularity).map(({ type, value }) => {
+            switch (type) {
+                // Screen readers do not announce <ins> and <del>, so the change is spelled out
+                case 'insert':
+                    return html`<ins class="diff-insert" part="insert"><span class="sr-only">[${this.t('diffAdded')}: </span>${value}<span class="sr-only">]</span></ins>`
+                case 'delete':
+                    return html`<del class="diff-delete" part="delete"><span class="sr-only">[${this.t('diffRemoved')}: </span>${value}<span class="sr-only">]</span></del>`
+                default:
+                    return value
             }
+        })}`
+    }
 
-            .history-container {
-                padding: 1rem;
-                height: 100%;
-            }
+    /**
+     * Whether the contributor or unreviewed filter excludes a version
+     * @param {Object} item - The version object
+     * @param {String} versionId - Its id, or its placeholder key
+     * @returns {Boolean} True if the card is hidden in the list, or dimmed in the graph
+     */
+    isFilteredOut(item, versionId) {
+        return (this.contributorFilter.size > 0 && !this.contributorFilter.has(this.getContributor(item).id)) ||
+            (this.unreviewedOnly && Boolean(reviewStatus(this.reviews.get(versionId))))
+    }
 
-            .history-header {
-                margin-bottom: 1rem;
-                padding-bottom: 0.5rem;
-                border-bottom: 2px solid #333;
-            }
+    /**
+     * Render a single version card
+     * @param {Object} item - The version object
+     * @param {Number} index - Position of the version in the newest-first historyData list
+     * @param {Object|null} previous - The version this one is compared against, or null for the first version
+     * @param {Object} iiifContext - Manifest and canvas from getIIIFContext()
+     * @param {Object} [extras]
+     * @param {SafeHTML} [extras.badges] - Extra markup for the card header
+     * @param {SafeHTML} [extras.children] - Markup nested at the end of the card, used for graph branches
+     * @returns {SafeHTML} Markup for the card
+     */
+    renderHistoryItem(item, index, previous, iiifContext, { badges = '', children = '' } = {}) {
+        const contributor = this.getContributor(item)
+        const versionId = this.getVersionId(item) ?? `version-${index}`
+        const status = reviewStatus(this.reviews.get(versionId))
+        const kind = this.changeKinds.get(versionId) ?? null
+        const anomalous = ANOMALOUS_CHANGES.includes(kind)
+        const filteredOut = this.isFilteredOut(item, versionId)
+        const classes = ['history-item', filteredOut && 'filtered-out', this.freshVersionIds.has(versionId) && 'fresh', this.selectedVersionId === versionId && 'selected', anomalous && 'anomalous']
+        // Exposed for ::part() styling, e.g. ::part(card current)
+        const parts = ['card', index === 0 && 'current', this.selectedVersionId === versionId && 'selected', anomalous && 'anomalous']
+        if (!this.isCardRendered(versionId, index)) {
+            this.cardCache.delete(versionId)
+            return html`<li class="${[...classes, 'placeholder'].filter(Boolean).join(' ')}" part="${[...parts, 'placeholder'].filter(Boolean).join(' ')}" data-key="${versionId}" data-version-id="${versionId}"
+                tabindex="${versionId === this.tabStopId ? 0 : -1}" aria-label="${this.t('cardLoading', { version: this.versionLabel(index) })}">${children}</li>`
+        }
 
-            .history-header h2 {
-                margin: 0;
-                font-size: 1.25rem;
-                color: #333;
-            }
+        // A card built from the same state as last time keeps its live element; only changed cards are rebuilt
+        const state = children ? null : this.cardState(item, index, previous, iiifContext, { versionId, filteredOut, status, kind, badges })
+        const cached = this.cardCache.get(versionId)
+        if (state && cached && sameCardState(cached.state, state)) return html`<li data-key="${versionId}" data-keep></li>`
+
+        const text = this.getLineText(item)
+        const bounding = this.getLineBounding(item)
+        const timestamp = this.getTimestamp(item)
+        const isLatest = index === 0
+
+        const previousText = previous ? this.getLineText(previous) : null
+
+        // Check if bounding changed from previous version
+        const prevBounding = previous ? this.getLineBounding(previous) : null
+        const boundingChanged = this.boundingChanged(bounding, prevBounding)
+
+        // Get version ID for better identification
+        const shortId = versionId.includes('/') ? versionId.split('/').pop() : versionId
+        const lineId = this.getVersionId(item)
+
+        let boundingHtml = ''
+        if (bounding) {
+            boundingHtml = html`
+                <div class="bounding-info" part="bounding">
+                    <div class="bounding-info-title">
+                        ${this.t('imageBounding')}
+                        ${boundingChanged && !isLatest && html`<span class="changed-indicator">${this.t('changed')}</span>`}
+                        ${boundingChanged && !isLatest && prevBounding && html`<span class="bounding-delta">${formatBoundingDelta(boundingDelta(prevBounding, bounding), this.locale)}</span>`}
+                    </div>
+                    <div class="bounding-values">
+                        ${this.t('boundingValues', bounding)}
+                    </div>
+                    ${this.renderPolygon(item, previous)}
+                    ${lineId && html`
+                        <label class="overlay-toggle">
+                            <input type="checkbox" data-action="toggle-overlay" data-version-id="${lineId}"
+                                ${this.overlayVersionIds.includes(lineId) && html`checked`}>
+                            ${this.t('compareOnImage')}
+                        </label>
+                    `}
+                </div>
+            `
+        }
 
-            .no-line {
-                text-align: center;
-                color: #666;
-                padding: 2rem;
-                font-style: italic;
-            }
+        const card = html`
+            <li class="${classes.filter(Boolean).join(' ')}" part="${parts.filter(Boolean).join(' ')}" data-key="${versionId}" data-version-id="${versionId}"
+                tabindex="${versionId === this.tabStopId ? 0 : -1}" ${this.selectedVersionId === versionId && html`aria-current="true"`}
+                aria-label="${[this.t('cardLabel', { version: this.versionLabel(index), date: this.formatTimestamp(timestamp), name: contributor.name }), kind && this.t(changeKindKey('change', kind))].filter(Boolean).join(', ')}"
+                aria-keyshortcuts="${this.canRestore ? KEYBOARD_SHORTCUTS : KEYBOARD_SHORTCUTS.replace(' R', '')}">
+                <div class="history-item-header" part="card-header">
+                    <span class="version-label">${this.versionLabel(index)}</span>
+                    ${kind && html`<span class="change-badge ${kind} ${anomalous ? 'anomalous' : ''}" part="change-badge" ${anomalous && html`title="${this.t('anomalyHint')}"`}>${this.t(changeKindKey('change', kind))}</span>`}
+                    ${status && html`<span class="review-badge ${status}">${this.t(status)}</span>`}
+                    <span class="version-id" title="${versionId}">(${shortId})</span>
+                    <span class="timestamp">${this.renderTime(timestamp)}</span>
+                </div>
+                <div class="contributor" title="${contributor.id}">
+                    ${this.renderAvatar(contributor)}
+                    <span class="contributor-name">${contributor.name}</span>
+                </div>
+                ${badges}
+                <div class="history-text ${text ? '' : 'empty'}" part="text" dir="auto">${text || previousText ? this.renderTextDiff(text, previousText) : this.t('empty')}</div>
+                ${this.renderAnnotationMetadata(item, previous)}
+                ${lineId && html`
+                    <label class="overlay-toggle">
+                        <input type="checkbox" data-action="toggle-compare" data-version-id="${lineId}"
+                            ${this.compareIds.includes(lineId) && html`checked`}>
+                        ${this.t('compare')}
+                    </label>
+                `}
+                ${boundingHtml}
+                ${this.renderLineImage(lineId, bounding, iiifContext)}
+                ${!isLatest && lineId && this.canRestore && this.renderRestoreActions(lineId)}
+                ${lineId && this.renderReviews(lineId)}
+                ${children}
+            </li>
+        `
+        // Cards with nested child cards are rebuilt on every render, so they are not cached
+        if (state) this.cardCache.set(versionId, { state, markup: String(card).trim() })
+        else this.cardCache.delete(versionId)
+        return card
+    }
 
-            .history-list {
-                list-style: none;
-                padding: 0;
-                margin: 0;
-            }
+    /**
+     * Everything a card's markup depends on besides its own version
+     * @param {Object} item - The version object
+     * @param {Number} index - Position of the version in historyData
+     * @param {Object|null} previous - The version it is compared against
+     * @param {Object} iiifContext - Manifest and canvas from getIIIFContext()
+     * @param {Object} card - Values renderHistoryItem() has already worked out
+     * @returns {Array} Values compared with === by sameCardState()
+     */
+    cardState(item, index, previous, iiifContext, { versionId, filteredOut, status, kind, badges }) {
+        const lineId = this.getVersionId(item)
+        const restore = this.restoreState?.versionId === lineId ? this.restoreState : null
+        const draft = this.reviewDraft?.versionId === versionId ? this.reviewDraft : null
+        const review = this.reviewState?.versionId === versionId ? this.reviewState : null
+        return [
+            item, previous, this.reviews.get(versionId), this.memberIndex,
+            index, this.historyData.length, this.viewMode, this.locale, this.diffGranularity,
+            this.canRestore, this.reviewsEnabled, iiifContext.manifest, iiifContext.canvas,
+            versionId === this.tabStopId, versionId === this.selectedVersionId, this.freshVersionIds.has(versionId),
+            filteredOut, status, kind, String(badges),
+            this.overlayVersionIds.includes(lineId), this.compareIds.includes(lineId), this.pendingRestoreId === lineId,
+            restore?.status, restore?.message, draft?.action, review?.status, review?.message,
+            // Relative times such as "3 minutes ago" move on
+            Math.floor(Date.now() / 60000)
+        ]
+    }
 
-            .history-item {
-                background: white;
-                border: 1px solid #ddd;
-                border-radius: 4px;
-                margin-bottom: 1rem;
-                padding: 1rem;
-                box-shadow: 0 1px 3px rgba(0,0,0,0.1);
-            }
+    /**
+     * Share of the previous reading deleted or replaced above which a change counts as a rewrite
+     * @returns {Number} The rewrite-threshold attribute between 0 and 1, or DEFAULT_REWRITE_THRESHOLD
+     */
+    get rewriteThreshold() {
+        const value = parseFloat(this.getAttribute('rewrite-threshold'))
+        return value >= 0 && value <= 1 ? value : DEFAULT_REWRITE_THRESHOLD
+    }
 
-            .history-item:first-child {
-                border-left: 4px solid #4CAF50;
+    /**
+     * The kind of change each loaded version made, recomputed only when historyData or the threshold changes
+     * @returns {Map<String, String|null>} Kinds from CHANGE_KINDS by version id; null for the oldest loaded
+     *     version while older ones are unloaded, since what it changed is unknown
+     */
+    get changeKinds() {
+        const threshold = this.rewriteThreshold
+        const cached = this._changeKinds
+        if (cached?.data !== this.historyData || cached.threshold !== threshold || cached.hasOlder !== this.hasOlderVersions) {
+            const kinds = classifyVersions(this.historyData, { rewriteThreshold: threshold })
+            if (this.hasOlderVersions) kinds[kinds.length - 1] = null
+            this._changeKinds = {
+                data: this.historyData,
+                threshold,
+                hasOlder: this.hasOlderVersions,
+                kinds: new Map(this.historyData.map((item, index) => [this.getVersionId(item) ?? `version-${index}`, kinds[index]]))
             }
+        }
+        return this._changeKinds.kinds
+    }
 
-            .history-item-header {
-                display: flex;
-                justify-content: space-between;
-                align-items: center;
-                margin-bottom: 0.5rem;
-                font-size: 0.875rem;
-                color: #666;
-            }
+    /**
+     * Render the header line summarizing the loaded versions by kind of change
+     * @returns {SafeHTML|String} E.g. "7 versions: 4 text, 2 geometry, 1 blanked", or an empty string before any load
+     */
+    renderChangeSummary() {
+        const counts = countChangeKinds([...this.changeKinds.values()].filter(Boolean))
+        const entries = Object.entries(counts)
+        if (entries.length === 0) return ''
+        const anomalous = entries.some(([kind]) => ANOMALOUS_CHANGES.includes(kind))
+        const kinds = formatList(entries.map(([kind, count]) => this.t(changeKindKey('count', kind), { count })), this.locale)
+        return html`
+            <span class="change-summary ${anomalous ? 'anomalous' : ''}" part="change-summary" ${anomalous && html`title="${this.t('anomalyHint')}"`}>
+                ${this.t('historySummary', { count: this.historyData.length, kinds })}
+            </span>
+        `
+    }
 
-            .version-label {
-                font-weight: bold;
-                color: #333;
-            }
+    /**
+     * Label for a version by its position in historyData
+     * @param {Number} index - Position of the version, newest first
+     * @returns {String} 'Current Version' or 'Version N', counting from the oldest, in the interface language
+     */
+    versionLabel(index) {
+        return index === 0 ? this.t('currentVersion') : this.t('versionN', { number: this.historyData.length - index })
+    }
 
-            .version-id {
-                font-family: monospace;
-                font-size: 0.75rem;
-                color: #666;
-                background: #f0f0f0;
-                padding: 0.125rem 0.25rem;
-                border-radius: 3px;
-                margin-left: 0.5rem;
-            }
+    /**
+     * Render the tpen-line-image crop of a version, or why it cannot be shown
+     * @param {String|undefined} lineId - The version id
+     * @param {Object|null} bounding - The version's bounding box
+     * @param {Object} iiifContext - Manifest and canvas from getIIIFContext()
+     * @returns {SafeHTML|String} Markup for the line image, or an empty string with neither id nor bounding
+     */
+    renderLineImage(lineId, bounding, iiifContext) {
+        let preview = ''
+        if (lineId && (iiifContext.manifest || iiifContext.canvas)) {
+            preview = html`
+                <tpen-line-image
+                    tpen-line-id="${lineId}"
+                    ${bounding && html`region="${bounding.x},${bounding.y},${bounding.width},${bounding.height}"`}
+                    class="line-image">
+                </tpen-line-image>
+            `
+        } else if (lineId) {
+            preview = html`<div class="no-image">${this.t('missingIIIF')}</div>`
+        } else if (bounding) {
+            preview = html`<div class="no-image">${this.t('missingLineId')}</div>`
+        }
+        if (!preview) return ''
 
-            .timestamp {
-                font-size: 0.8rem;
-                cursor: help;
-            }
+        return html`
+            <div class="line-image-container" part="image">
+                <div class="line-image-title">${this.t('lineImagePreview')}</div>
+                ${preview}
+            </div>
+        `
+    }
 
-            .history-text {
-                padding: 0.75rem;
-                background: #fafafa;
-                border-left: 3px solid #2196F3;
-                border-radius: 2px;
-                font-family: monospace;
-                white-space: pre-wrap;
-                word-wrap: break-word;
-                margin: 0.5rem 0;
-            }
+    /**
+     * Render two versions side by side with the text diff and bounding change between them
+     * @param {Object} iiifContext - Manifest and canvas from getIIIFContext()
+     * @returns {SafeHTML|String} Markup for the comparison, or an empty string unless two versions are chosen
+     */
+    renderComparison(iiifContext) {
+        const [from, to] = this.compareIds.map(id => this.historyData.find(item => this.getVersionId(item) === id))
+        if (!from || !to) return ''
+
+        const fromBounding = this.getLineBounding(from)
+        const toBounding = this.getLineBounding(to)
+        let boundingChange = this.t('noBounding')
+        if (fromBounding && toBounding) boundingChange = formatBoundingDelta(boundingDelta(fromBounding, toBounding), this.locale) || this.t('unchanged')
+        else if (fromBounding || toBounding) boundingChange = this.t(toBounding ? 'boundingAdded' : 'boundingRemoved')
+
+        const picker = (slot) => html`
+            <select class="compare-select" data-slot="${slot}" aria-label="${this.t(slot === 0 ? 'compareFrom' : 'compareTo')}">
+                ${this.historyData.map((item, index) => {
+                    const id = this.getVersionId(item)
+                    return html`<option value="${id}" ${id === this.compareIds[slot] && html`selected`}>${this.versionLabel(index)} · ${this.formatTimestamp(this.getTimestamp(item))}</option>`
+                })}
+            </select>
+        `
+        const column = (item, bounding) => {
+            const contributor = this.getContributor(item)
+            const text = this.getLineText(item)
+            return html`
+                <div class="compare-column">
+                    <div class="history-item-header" part="card-header">
+                        <span class="version-label">${this.versionLabel(this.historyData.indexOf(item))}</span>
+                        <span class="timestamp">${this.renderTime(this.getTimestamp(item))}</span>
+                    </div>
+                    <div class="contributor" title="${contributor.id}">
+                        ${this.renderAvatar(contributor)}
+                        <span class="contributor-name">${contributor.name}</span>
+                    </div>
+                    <div class="history-text ${text ? '' : 'empty'}" part="text" dir="auto">${text || this.t('empty')}</div>
+                    <div class="bounding-values">${bounding ? this.t('boundingValues', bounding) : this.t('noBounding')}</div>
+                    ${this.renderLineImage(this.getVersionId(item), bounding, iiifContext)}
+                </div>
+            `
+        }
 
-            .history-text.empty {
-                color: #999;
-                font-style: italic;
-            }
+        return html`
+            <section class="overlay-panel compare-panel" aria-label="${this.t('versionComparison')}"
+                ${iiifContext.manifest && html`iiif-manifest="${iiifContext.manifest}"`}
+                ${iiifContext.canvas && html`iiif-canvas="${iiifContext.canvas}"`}>
+                <div class="overlay-header">
+                    <span class="bounding-info-title">${this.t('compareVersions')}</span>
+                    <button type="button" class="clear-filter" data-action="compare-close">${this.t('close')}</button>
+                </div>
+                <div class="compare-selects">
+                    ${picker(0)}
+                    <button type="button" class="clear-filter" data-action="compare-swap" aria-label="${this.t('swapVersions')}">⇄</button>
+                    ${picker(1)}
+                </div>
+                <div class="bounding-info-title">${this.t('textChanges')}</div>
+                <div class="history-text" part="text" dir="auto">${this.renderTextDiff(this.getLineText(to), this.getLineText(from))}</div>
+                <div class="bounding-info-title">${this.t('boundingChange')}</div>
+                <div class="bounding-values">${boundingChange}</div>
+                <div class="compare-columns">
+                    ${column(from, fromBounding)}
+                    ${column(to, toBounding)}
+                </div>
+            </section>
+        `
+    }
 
-            .bounding-info {
-                margin-top: 0.5rem;
-                padding: 0.5rem;
-                background: #fff3cd;
-                border-left: 3px solid #ffc107;
-                border-radius: 2px;
-                font-size: 0.875rem;
-            }
+    /**
+     * Render a version's selector as an SVG shape: its polygon if it has one, otherwise its bounding box
+     * @param {Object} item - The version object
+     * @param {Object} style
+     * @param {String} style.stroke - Outline color, or a CSS var()
+     * @param {Number} style.strokeWidth - Outline width in canvas pixels
+     * @param {String} [style.fill] - Fill color, or a CSS var()
+     * @param {Boolean} [style.dashed] - Dash the outline, for superseded shapes
+     * @returns {SafeHTML|String} The shape, or an empty string with no selector
+     */
+    renderSelectorShape(item, { stroke, strokeWidth, fill = 'none', dashed = false }) {
+        const { polygon } = annotationMetadata(item)
+        const outline = html`style="fill: ${fill}; stroke: ${stroke}" stroke-width="${strokeWidth}" ${dashed && html`stroke-dasharray="${strokeWidth * 3}"`}`
+        if (polygon) {
+            return html`<polygon points="${polygon.map(point => point.join(',')).join(' ')}" ${outline}></polygon>`
+        }
+        const bounding = this.getLineBounding(item)
+        if (!bounding) return ''
+        return html`<rect x="${bounding.x}" y="${bounding.y}" width="${bounding.width}" height="${bounding.height}" ${outline}></rect>`
+    }
 
-            .bounding-info-title {
-                font-weight: bold;
-                margin-bottom: 0.25rem;
-                color: #856404;
-            }
+    /**
+     * Render a version's polygon selector, with the previous version's shape dashed behind it if it changed
+     * @param {Object} item - The version object
+     * @param {Object|null} previous - The version it is compared against
+     * @returns {SafeHTML|String} Markup for the shape, or an empty string without a polygon
+     */
+    renderPolygon(item, previous) {
+        const { polygon } = annotationMetadata(item)
+        if (!polygon) return ''
+        const reshaped = previous && metadataChanges(previous, item).some(change => change.field === 'polygon')
+        const frame = overlayViewBox([this.getLineBounding(item), reshaped && this.getLineBounding(previous)].filter(Boolean))
+        const strokeWidth = Math.max(frame.width, frame.height) / 200
+
+        return html`
+            <svg class="overlay-svg selector-shape" viewBox="${frame.x} ${frame.y} ${frame.width} ${frame.height}" preserveAspectRatio="xMidYMid meet"
+                role="img" aria-label="${this.t('polygonLabel', { count: polygon.length })}">
+                ${reshaped && this.renderSelectorShape(previous, { stroke: 'var(--_text-faint)', strokeWidth, dashed: true })}
+                ${this.renderSelectorShape(item, { stroke: 'var(--_accent-strong)', strokeWidth, fill: 'var(--_shape-fill)' })}
+            </svg>
+        `
+    }
 
-            .bounding-values {
-                font-family: monospace;
-                color: #333;
-            }
+    /**
+     * Render a version's motivation, language, format, tags and comments, and which of those,
+     * its selector or its canvas changed since the version it is compared against
+     * @param {Object} item - The version object
+     * @param {Object|null} previous - The version it is compared against
+     * @returns {SafeHTML|String} Markup for the metadata, or an empty string if there is none
+     */
+    renderAnnotationMetadata(item, previous) {
+        const metadata = annotationMetadata(item)
+        const changes = metadataChanges(previous, item, this.locale)
+        const chips = [
+            ...metadata.motivation.map(value => html`<span class="meta-chip" title="${this.t('motivation')}">${value}</span>`),
+            metadata.language && html`<span class="meta-chip" title="${this.t('language')}">${metadata.language}</span>`,
+            metadata.format && html`<span class="meta-chip" title="${this.t('format')}">${metadata.format}</span>`,
+            ...metadata.tags.map(tag => html`<span class="meta-chip tag" title="${this.t('tag')}">#${tag}</span>`)
+        ].filter(Boolean)
+        if (chips.length === 0 && metadata.comments.length === 0 && changes.length === 0) return ''
+
+        return html`
+            <div class="annotation-meta">
+                ${chips.length > 0 && html`<div class="meta-chips">${chips}</div>`}
+                ${metadata.comments.length > 0 && html`
+                    <ul class="meta-comments" aria-label="${this.t('comments')}">
+                        ${metadata.comments.map(comment => html`<li>${comment}</li>`)}
+                    </ul>
+                `}
+                ${changes.length > 0 && html`
+                    <ul class="meta-changes" aria-label="${this.t('annotationChanges')}">
+                        ${changes.map(change => html`
+                            <li>
+                                <span class="meta-label">${change.label}</span>
+                                ${isCanvasMove(change) && html`<span class="changed-indicator">${this.t('movedCanvas')}</span>`}
+                                <span class="meta-value">${formatMetadataChange(change, this.locale)}</span>
+                            </li>
+                        `)}
+                    </ul>
+                `}
+            </div>
+        `
+    }
 
-            .line-image-container {
-                margin-top: 0.5rem;
-                padding: 0.5rem;
-                background: #f8f9fa;
-                border-left: 3px solid #6c757d;
-                border-radius: 2px;
-            }
+    /**
+     * Render the selected versions' bounding boxes superimposed on the page image,
+     * with the change in each box relative to the previously selected version
+     * @param {Object} iiifContext - Manifest and canvas from getIIIFContext()
+     * @returns {SafeHTML|String} Markup for the overlay panel, or an empty string with nothing selected
+     */
+    renderOverlay(iiifContext) {
+        const selected = this.overlayVersionIds
+            .map((id, order) => ({ id, order, item: this.historyData.find(item => this.getVersionId(item) === id) }))
+            .filter(entry => entry.item)
+            .map(entry => ({ ...entry, bounding: this.getLineBounding(entry.item), color: OVERLAY_COLORS[entry.order % OVERLAY_COLORS.length] }))
+            .filter(entry => entry.bounding)
+        if (selected.length === 0) return ''
+
+        const canvasImage = this.getCanvasImage(iiifContext)
+        const viewBox = overlayViewBox(selected.map(entry => entry.bounding), canvasImage ?? {})
+        const strokeWidth = Math.max(viewBox.height, viewBox.width) / 200
+        const imageUrl = safeUrl(canvasImage?.image)
+        const canPlaceImage = imageUrl && canvasImage.width && canvasImage.height
+
+        // Legend runs oldest to newest so each delta reads as "what changed next"
+        const chronological = [...selected].sort((a, b) => this.getTimestamp(a.item) - this.getTimestamp(b.item))
+        const legend = chronological.map((entry, i) => {
+            const index = this.historyData.indexOf(entry.item)
+            const label = this.versionLabel(index)
+            const delta = i > 0 ? formatBoundingDelta(boundingDelta(chronological[i - 1].bounding, entry.bounding), this.locale) : ''
+            return html`
+                <li>
+                    <span class="swatch" style="border-color: ${entry.color}"></span>
+                    <span class="version-label">${label}</span>
+                    <span class="bounding-values">${i === 0 ? this.t('baseline') : delta || this.t('unchanged')}</span>
+                </li>
+            `
+        })
 
-            .line-image-title {
-                font-weight: bold;
-                margin-bottom: 0.5rem;
-                color: #495057;
-                font-size: 0.875rem;
-            }
+        let status = ''
+        if (canvasImage === undefined) status = this.t('loadingPageImage')
+        else if (!canPlaceImage) status = this.t('pageImageUnavailable')
 
-            .line-image {
-                max-width: 100%;
-                border: 1px solid #dee2e6;
-                border-radius: 4px;
-                display: block;
-            }
+        return html`
+            <section class="overlay-panel" aria-label="${this.t('boundingComparisonLabel')}">
+                <div class="overlay-header">
+                    <span class="bounding-info-title">${this.t('boundingComparison')}</span>
+                    <button type="button" class="clear-filter" data-action="clear-overlay">${this.t('clear')}</button>
+                </div>
+                <svg class="overlay-svg" viewBox="${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}" preserveAspectRatio="xMidYMid meet" role="img" aria-label="${this.t('overlayImageLabel')}">
+                    ${canPlaceImage && html`<image href="${imageUrl}" x="0" y="0" width="${canvasImage.width}" height="${canvasImage.height}"></image>`}
+                    ${selected.map(entry => this.renderSelectorShape(entry.item, { stroke: entry.color, strokeWidth }))}
+                </svg>
+                ${status && html`<div class="no-image">${status}</div>`}
+                <ul class="overlay-legend">${legend}</ul>
+            </section>
+        `
+    }
 
-            .no-image {
-                color: #6c757d;
-                font-style: italic;
-                font-size: 0.875rem;
-            }
+    /**
+     * Render placeholder cards while a line's history loads
+     * @returns {SafeHTML} Markup for the loading state
+     */
+    renderLoadingSkeleton() {
+        const card = html`
+            <li class="history-item skeleton" aria-hidden="true">
+                <div class="skeleton-bar short"></div>
+                <div class="skeleton-bar"></div>
+                <div class="skeleton-bar medium"></div>
+            </li>
+        `
+        return html`
+            <div class="history-header" part="header">
+                <h2>${this.t('lineHistory')}</h2>
+            </div>
+            <ul class="history-list" aria-busy="true" aria-label="${this.t('loadingLineHistory')}">
+                ${[card, card, card]}
+            </ul>
+        `
+    }
+
+    /**
+     * Render an error card with a Retry button
+     * @param {String} [title] - What failed
+     * @param {String} [message] - The failure reason; defaults to the current line's load error
+     * @returns {SafeHTML} Markup for the error card
+     */
+    renderLoadError(title = this.t('loadHistoryFailed'), message = this.loadState.message) {
+        return html`
+            <div class="error-card" role="alert">
+                <div class="error-title">${title}</div>
+                <div class="error-message">${message ?? this.t('unknownError')}</div>
+                <button type="button" data-action="retry">${this.t('retry')}</button>
+            </div>
+        `
+    }
+
+    /**
+     * Render the problems with a shared link: a project that failed to load, and a version the line lacks
+     * @returns {SafeHTML} Markup for the notices, or nothing
+     */
+    renderLinkProblems() {
+        const project = this.standaloneProjectError
+        return html`
+            ${project && html`
+                <div class="error-card" role="alert">
+                    <div class="error-title">${this.t('projectLoadFailed')}</div>
+                    <div class="error-message">${this.t('projectLoadFailedMessage', { project: project.projectId, message: project.message })}</div>
+                    <button type="button" data-action="retry-project">${this.t('retry')}</button>
+                </div>
+            `}
+            ${this.missingVersionId && html`
+                <div class="error-card" role="alert">
+                    <div class="error-title">${this.t('versionNotFound')}</div>
+                    <div class="error-message">${this.t('versionNotFoundMessage', { version: this.missingVersionId })}</div>
+                    <button type="button" data-action="dismiss-missing-version">${this.t('close')}</button>
+                </div>
+            `}
+        `
+    }
+
+    /**
+     * Render the page or project change feed
+     * @returns {SafeHTML} Markup for the feed
+     */
+    renderChangeFeed() {
+        const { scope, status, entries, message } = this.feed
+        const since = parseSince(this.getAttribute('since'))
+        const title = this.t(scope === 'project' ? 'projectChanges' : 'pageChanges')
+
+        let body = ''
+        if (status === 'loading') {
+            body = html`<div class="no-line">${this.t(scope === 'project' ? 'loadingProjectHistory' : 'loadingPageHistory')}</div>`
+        } else if (status === 'error') {
+            body = this.renderLoadError(this.t(scope === 'project' ? 'loadProjectHistoryFailed' : 'loadPageHistoryFailed'), message)
+        } else if (entries.length === 0) {
+            body = html`<div class="no-line">${this.t(since ? 'noChangesInPeriod' : 'noChanges')}</div>`
+        } else {
+            body = html`<ul class="history-list change-feed">${entries.map((entry, index) => {
+                const contributor = this.getContributor(entry.item)
+                const text = this.getLineText(entry.item)
+                const previousText = entry.previous ? this.getLineText(entry.previous) : null
+                return html`
+                    <li class="history-item feed-entry" part="card">
+                        <div class="history-item-header" part="card-header">
+                            <span class="version-label">${this.t('lineN', { number: entry.lineNumber })}${entry.pageLabel && ` · ${entry.pageLabel}`}</span>
+                            <span class="timestamp">${this.renderTime(entry.timestamp)}</span>
+                        </div>
+                        <div class="contributor" title="${contributor.id}">
+                            ${this.renderAvatar(contributor)}
+                            <span class="contributor-name">${contributor.name}</span>
+                        </div>
+                        <div class="history-text ${text ? '' : 'empty'}" part="text" dir="auto">${text || previousText ? this.renderTextDiff(text, previousText) : this.t('empty')}</div>
+                        <div class="history-actions">
+                            <button type="button" data-action="open-feed-entry" data-feed-index="${index}">${this.t('openLine')}</button>
+                        </div>
+                    </li>
+                `
+            })}</ul>`
+        }
 
-            .changed-indicator {
-                display: inline-block;
-                margin-left: 0.5rem;
-                padding: 0.125rem 0.375rem;
-                background: #ff9800;
-                color: white;
-                border-radius: 3px;
-                font-size: 0.75rem;
-                font-weight: bold;
+        return html`
+            <div class="history-header" part="header">
+                <h2>${title}</h2>
+                ${status === 'ready' && html`<span class="contributor-summary">${since ? this.t('changeCountSince', { count: entries.length, date: this.formatTimestamp(since) }) : this.t('changeCount', { count: entries.length })}</span>`}
+            </div>
+            ${body}
+        `
+    }
+
+    /**
+     * Render a contributor's avatar, falling back to initials
+     * @param {Object} contributor - Contributor with name and avatar
+     * @returns {SafeHTML} Markup for the avatar
+     */
+    renderAvatar(contributor) {
+        const avatar = safeUrl(contributor.avatar)
+        if (avatar) {
+            return html`<img class="avatar" src="${avatar}" alt="">`
+        }
+        return html`<span class="avatar" aria-hidden="true">${initials(contributor.name)}</span>`
+    }
+
+    /**
+     * Render the contributor filter bar with each contributor's edit count for this line
+     * @returns {SafeHTML} Markup for the filter bar
+     */
+    renderContributorFilter() {
+        const summary = summarizeContributors(this.historyData, item => this.getContributor(item))
+        const chips = summary.map(({ contributor, count }) => html`
+            <button type="button" class="contributor-chip" data-action="toggle-contributor"
+                data-contributor-id="${contributor.id}"
+                aria-pressed="${this.contributorFilter.has(contributor.id)}"
+                title="${contributor.id}">
+                ${this.renderAvatar(contributor)}
+                <span>${contributor.name}</span>
+                <span class="edit-count">${this.t('editCount', { count })}</span>
+            </button>
+        `)
+
+        return html`
+            <div class="contributor-filter" role="group" aria-label="${this.t('filterByContributor')}">
+                <span class="contributor-summary">${this.t('contributorCount', { count: summary.length })}</span>
+                ${chips}
+                ${this.contributorFilter.size > 0 && html`<button type="button" class="clear-filter" data-action="clear-contributors">${this.t('showAll')}</button>`}
+            </div>
+        `
+    }
+
+    /**
+     * Render the history as a tree following __rerum.history previous/next relationships, oldest first.
+     * Each card is diffed against its parent version rather than its neighbour in time.
+     * @param {Object} iiifContext - Manifest and canvas from getIIIFContext()
+     * @returns {SafeHTML} Markup for the tree's root list items
+     */
+    renderVersionGraph(iiifContext) {
+        const shown = this.historyData.slice(0, this.shownCount)
+        const { roots } = buildVersionTree(shown, {
+            getId: item => this.getVersionId(item),
+            getTimestamp: item => this.getTimestamp(item)
+        })
+        const indexes = new Map(this.historyData.map((item, index) => [item, index]))
+
+        // A linear run of versions stays in one list; each fork at a branch point gets its own nested list
+        const renderNode = (node) => {
+            const badges = []
+            if (node.isBranchPoint) badges.push(html`<span class="graph-badge branch">${this.t('branchPoint', { count: node.children.length })}</span>`)
+            if (node.isLeaf) badges.push(html`<span class="graph-badge leaf">${this.t('leaf')}</span>`)
+            // A root whose predecessor is not shown continues on the next page rather than starting a new history
+            const previousId = node.item.__rerum?.history?.previous
+            const hiddenParent = !node.parent && previousId ? this.historyData.find(item => this.getVersionId(item) === previousId) : null
+            if (!node.parent && (hiddenParent || (previousId && this.hasOlderVersions))) {
+                badges.push(html`<span class="graph-badge root">${this.t('continuesOlder')}</span>`)
+            } else if (!node.parent && roots.length > 1) {
+                badges.push(html`<span class="graph-badge root">${this.t('separateRoot')}</span>`)
             }
+
+            const card = this.renderHistoryItem(node.item, indexes.get(node.item), node.parent?.item ?? hiddenParent ?? null, iiifContext, {
+                badges: badges.length > 0 && html`<div class="graph-badges">${badges}</div>`,
+                children: node.isBranchPoint && node.children.map(child => html`<ul class="version-branch">${renderNode(child)}</ul>`)
+            })
+            return node.children.length === 1 ? html`${card}${renderNode(node.children[0])}` : card
+        }
+
+        return html`${roots.map(renderNode)}`
+    }
+
+    /**
+     * Render the timeline: a tick per version placed by time, a scrubber, and the line's text and
+     * bounding box as of the moment scrubbed to
+     * @returns {SafeHTML|String} Markup for the timeline, or an empty string with fewer than two versions
+     */
+    renderTimeline() {
+        const ticks = timelineTicks(this.historyData, item => this.getTimestamp(item))
+        if (ticks.length < 2) return ''
+
+        const first = ticks[0].timestamp
+        const last = ticks.at(-1).timestamp
+        const time = this.timelineTime ?? last
+        const current = tickAt(ticks, time)
+        const text = this.getLineText(current.item)
+        const bounding = this.getLineBounding(current.item)
+        // Frame every version's box so the shown box moves within a fixed view
+        const frame = overlayViewBox(ticks.map(tick => this.getLineBounding(tick.item)).filter(Boolean))
+
+        return html`
+            <section class="timeline" aria-label="${this.t('timeline')}">
+                <div class="timeline-controls">
+                    <button type="button" class="timeline-play" data-action="timeline-play" aria-pressed="${Boolean(this.timelinePlayer)}">${this.t(this.timelinePlayer ? 'pause' : 'play')}</button>
+                    <div class="timeline-track">
+                        <div class="timeline-ticks">
+                            ${ticks.map((tick, i) => html`
+                                <button type="button" class="timeline-tick ${tick === current ? 'current' : ''}" style="inset-inline-start: ${tick.position}%"
+                                    data-action="timeline-seek" data-time="${tick.timestamp}"
+                                    title="${this.t('versionN', { number: i + 1 })} · ${this.formatTimestamp(tick.timestamp)}"
+                                    aria-label="${this.t('versionN', { number: i + 1 })}, ${this.formatTimestamp(tick.timestamp)}"></button>
+                            `)}
+                        </div>
+                        <input type="range" class="timeline-scrubber" min="${first}" max="${last}" step="1" value="${time}"
+                            aria-label="${this.t('scrubVersions')}" aria-valuetext="${this.formatTimestamp(time)}">
+                    </div>
+                </div>
+                <div class="timeline-snapshot">
+                    <div class="history-item-header" part="card-header">
+                        <span class="version-label">${this.t('versionNOfTotal', { number: ticks.indexOf(current) + 1, total: ticks.length })}</span>
+                        <span class="timestamp">${this.renderTime(current.timestamp)}</span>
+                    </div>
+                    <div class="history-text ${text ? '' : 'empty'}" part="text" dir="auto">${text || this.t('empty')}</div>
+                    ${frame && html`
+                        <svg class="overlay-svg timeline-frame" viewBox="${frame.x} ${frame.y} ${frame.width} ${frame.height}" preserveAspectRatio="xMidYMid meet" role="img" aria-label="${this.t('boundingAsOf')}">
+                            ${this.renderSelectorShape(current.item, { stroke: 'var(--_accent-strong)', strokeWidth: Math.max(frame.width, frame.height) / 200, fill: 'var(--_shape-fill)' })}
+                        </svg>
+                    `}
+                    ${bounding && html`<div class="bounding-values">${this.t('boundingValues', bounding)}</div>`}
+                </div>
+            </section>
+        `
+    }
+
+    /**
+     * Render the "Load older versions" pager when versions remain beyond the shown pages
+     * @returns {SafeHTML|String} Markup for the pager, or an empty string when every version is shown
+     */
+    renderPager() {
+        const shown = Math.min(this.shownCount, this.historyData.length)
+        if (shown === this.historyData.length && !this.hasOlderVersions) return ''
+        if (this.olderState?.status === 'loading') {
+            return html`<div class="history-pager"><button type="button" disabled>${this.t('loadingOlder')}</button></div>`
+        }
+        return html`
+            <div class="history-pager">
+                <span class="contributor-summary">${this.t('showingVersions', { shown, total: `${this.historyData.length}${this.hasOlderVersions ? '+' : ''}` })}</span>
+                <button type="button" data-action="load-older">${this.t('loadOlder')}</button>
+                ${this.olderState?.status === 'error' && html`<span class="restore-error" role="alert">${this.t('loadOlderFailed', { message: this.olderState.message })}</span>`}
+            </div>
+        `
+    }
+
+    /**
+     * Render a version's reviews and the controls to comment on, approve or flag it
+     * @param {String} versionId - The id of the version
+     * @returns {SafeHTML|String} Markup for the reviews, or an empty string when reviews are off
+     */
+    renderReviews(versionId) {
+        if (!this.reviewsEnabled) return ''
+        const reviews = this.reviews.get(versionId) ?? []
+        const draft = this.reviewDraft?.versionId === versionId ? this.reviewDraft : null
+        const state = this.reviewState?.versionId === versionId ? this.reviewState : null
+        const saving = state?.status === 'saving'
+
+        const entries = reviews.map((review) => {
+            const reviewer = this.getContributor(review)
+            const assessment = reviewAssessment(review)
+            const comment = reviewComment(review)
+            return html`
+                <li class="review-entry ${assessment ?? 'comment'}">
+                    <div class="contributor" title="${reviewer.id}">
+                        ${this.renderAvatar(reviewer)}
+                        <span class="contributor-name">${reviewer.name}</span>
+                        ${assessment && html`<span class="review-badge ${assessment}">${this.t(assessment)}</span>`}
+                        <span class="timestamp">${this.renderTime(reviewTime(review))}</span>
+                    </div>
+                    ${comment && html`<div class="review-comment" dir="auto">${comment}</div>`}
+                </li>
+            `
+        })
+
+        const controls = draft
+            ? html`
+                <div class="review-form">
+                    <textarea aria-label="${this.t(draft.action === 'flag' ? 'flagPlaceholder' : 'commentPlaceholder')}"
+                        placeholder="${this.t(draft.action === 'flag' ? 'flagPlaceholder' : 'commentPlaceholder')}" ${saving && html`disabled`}></textarea>
+                    <div class="history-actions">
+                        <button type="button" class="confirm" data-action="review-submit" ${saving && html`disabled`}>${this.t(draft.action === 'flag' ? 'flagAction' : 'saveReview')}</button>
+                        <button type="button" data-action="review-cancel">${this.t('cancel')}</button>
+                    </div>
+                </div>
+            `
+            : html`
+                <div class="history-actions" role="group" aria-label="${this.t('review')}">
+                    ${Object.keys(REVIEW_ACTIONS).map(action => html`
+                        <button type="button" data-action="review" data-review="${action}" data-version-id="${versionId}" ${saving && html`disabled`}>${this.t(`${action}Action`)}</button>
+                    `)}
+                </div>
+            `
+
+        return html`
+            <div class="review-panel" part="reviews">
+                ${entries.length > 0 && html`<ul class="review-list" aria-label="${this.t('reviews')}">${entries}</ul>`}
+                ${controls}
+                ${saving && html`<span class="revalidating">${this.t('reviewSaving')}</span>`}
+                ${state?.status === 'error' && html`<span class="restore-error" role="alert">${this.t('reviewFailed', { message: state.message })}</span>`}
+            </div>
+        `
+    }
+
+    /**
+     * Render the restore controls for a non-current version
+     * @param {String} versionId - The id of the version
+     * @returns {SafeHTML} Markup for the restore actions
+     */
+    renderRestoreActions(versionId) {
+        const state = this.restoreState?.versionId === versionId ? this.restoreState : null
+
+        if (state?.status === 'saving') {
+            return html`<div class="history-actions"><button type="button" disabled>${this.t('restoring')}</button></div>`
+        }
+        if (this.pendingRestoreId === versionId) {
+            return html`
+                <div class="history-actions">
+                    <span>${this.t('restorePrompt')}</span>
+                    <button type="button" class="confirm" data-action="restore-confirm" data-version-id="${versionId}">${this.t('restore')}</button>
+                    <button type="button" data-action="restore-cancel">${this.t('cancel')}</button>
+                </div>
+            `
+        }
+        return html`
+            <div class="history-actions">
+                <button type="button" data-action="restore" data-version-id="${versionId}">${this.t('restoreVersion')}</button>
+                ${state?.status === 'error' && html`<span class="restore-error" role="alert">${this.t('restoreFailed', { message: state.message })}</span>`}
+            </div>
         `
+    }
 
+    /**
+     * Render the component
+     */
+    render() {
         let content = ''
-        if (!this.currentLine || this.historyData.length === 0) {
-            content = `<div class="no-line">Select a line to view its history</div>`
+        this.updateMemberIndex()
+        if (this.feed && this.showingFeed) {
+            content = this.renderChangeFeed()
+        } else if (!this.currentLine) {
+            content = html`<div class="no-line">${this.t('selectLine')}</div>`
+        } else if (this.historyData.length === 0) {
+            content = html`${this.renderLinkProblems()}${this.loadState.status === 'error' ? this.renderLoadError() : this.renderLoadingSkeleton()}`
         } else {
             // Get IIIF context for the container
             const iiifContext = this.getIIIFContext()
-
-            const historyItems = this.historyData.map((item, index) => {
-                const text = this.getLineText(item)
-                const bounding = this.getLineBounding(item)
-                const timestamp = this.getTimestamp(item)
-                const isLatest = index === 0
-
-                // Check if bounding changed from previous version
-                const prevBounding = index < this.historyData.length - 1
-                    ? this.getLineBounding(this.historyData[index + 1])
-                    : null
-                const boundingChanged = this.boundingChanged(bounding, prevBounding)
-
-                // Get version ID for better identification
-                const versionId = item['@id'] ?? item.id ?? item._id ?? `version-${index}`
-                const shortId = versionId.includes('/') ? versionId.split('/').pop() : versionId
-                const lineId = item['@id'] ?? item.id ?? item._id
-
-                let boundingHtml = ''
-                if (bounding) {
-                    boundingHtml = `
-                        <div class="bounding-info">
-                            <div class="bounding-info-title">
-                                Image Bounding
-                                ${boundingChanged && !isLatest ? '<span class="changed-indicator">CHANGED</span>' : ''}
-                            </div>
-                            <div class="bounding-values">
-                                x: ${bounding.x}, y: ${bounding.y}, width: ${bounding.width}, height: ${bounding.height}
-                            </div>
-                        </div>
-                    `
-                }
-
-                // Generate line image HTML
-                let imageHtml = ''
-                if (lineId && (iiifContext.manifest || iiifContext.canvas)) {
-                    // Create region attribute from bounding coordinates
-                    let regionAttr = ''
-                    if (bounding) {
-                        regionAttr = `region="${bounding.x},${bounding.y},${bounding.width},${bounding.height}"`
-                    }
-                    
-                    imageHtml = `
-                        <div class="line-image-container">
-                            <div class="line-image-title">Line Image Preview</div>
-                            <tpen-line-image 
-                                tpen-line-id="${lineId}"
-                                ${regionAttr}
-                                class="line-image">
-                            </tpen-line-image>
-                        </div>
-                    `
-                } else if (lineId) {
-                    imageHtml = `
-                        <div class="line-image-container">
-                            <div class="line-image-title">Line Image Preview</div>
-                            <div class="no-image">Missing IIIF context (manifest/canvas)</div>
+            // Only cards the reader can see take the tab stop; the list hides filtered-out cards, the graph dims them
+            const shownIds = this.historyData.slice(0, this.shownCount)
+                .map((item, index) => [item, this.getVersionId(item) ?? `version-${index}`])
+                .filter(([item, id]) => this.viewMode === 'graph' || !this.isFilteredOut(item, id))
+                .map(([, id]) => id)
+            this.tabStopId = [this.focusedVersionId, this.selectedVersionId].find(id => shownIds.includes(id)) ?? shownIds[0]
+            const historyItems = this.viewMode === 'graph'
+                ? this.renderVersionGraph(iiifContext)
+                : this.historyData.slice(0, this.shownCount).map((item, index) => this.renderHistoryItem(item, index, this.historyData[index + 1] ?? null, iiifContext))
+
+            content = html`
+                ${this.feed && html`<button type="button" class="back-to-feed" data-action="show-feed">${this.t(this.feed.scope === 'project' ? 'backToProjectChanges' : 'backToPageChanges')}</button>`}
+                <div class="history-header" part="header">
+                    <h2>${this.t('lineHistory')}</h2>
+                    ${this.renderChangeSummary()}
+                    ${this.revalidating && html`<span class="revalidating">${this.t('checkingNewer')}</span>`}
+                    <div class="history-controls">
+                        <div class="toggle" role="group" aria-label="${this.t('view')}">
+                            <button type="button" data-action="view-mode" data-value="list" aria-pressed="${this.viewMode === 'list'}">${this.t('list')}</button>
+                            <button type="button" data-action="view-mode" data-value="graph" aria-pressed="${this.viewMode === 'graph'}">${this.t('graph')}</button>
                         </div>
-                    `
-                } else if (bounding) {
-                    imageHtml = `
-                        <div class="line-image-container">
-                            <div class="line-image-title">Line Image Preview</div>
-                            <div class="no-image">Missing line ID for TPEN image component</div>
+                        <div class="toggle" role="group" aria-label="${this.t('diffGranularity')}">
+                            <button type="button" data-action="diff-granularity" data-value="word" aria-pressed="${this.diffGranularity === 'word'}">${this.t('words')}</button>
+                            <button type="button" data-action="diff-granularity" data-value="char" aria-pressed="${this.diffGranularity === 'char'}">${this.t('characters')}</button>
                         </div>
-                    `
-                }
-
-                return `
-                    <li class="history-item">
-                        <div class="history-item-header">
-                            <span class="version-label">${isLatest ? 'Current Version' : `Version ${this.historyData.length - index}`}</span>
-                            <span class="version-id" title="${versionId}">(${shortId})</span>
-                            <span class="timestamp" title="${this.formatTimeAgo(timestamp)}">${this.formatTimestamp(timestamp)}</span>
+                        <div class="toggle">
+                            <button type="button" data-action="compare" aria-pressed="${this.compareIds.length === 2}">${this.t('compare')}</button>
                         </div>
-                        <div class="history-text ${text ? '' : 'empty'}">${text ?? '(empty)'}</div>
-                        ${boundingHtml}
-                        ${imageHtml}
-                    </li>
-                `
-            }).join('')
-
-            content = `
-                <div class="history-header">
-                    <h2>Line History</h2>
+                        ${this.reviewsEnabled && html`
+                            <div class="toggle">
+                                <button type="button" data-action="unreviewed-only" aria-pressed="${this.unreviewedOnly}">${this.t('unreviewedOnly')}</button>
+                            </div>
+                        `}
+                        <details class="export-menu">
+                            <summary>${this.t('export')}</summary>
+                            <div class="export-options">
+                                ${Object.entries(EXPORT_FORMATS).map(([format, { label }]) => html`
+                                    <button type="button" data-action="export" data-format="${format}">${label}</button>
+                                `)}
+                            </div>
+                        </details>
+                    </div>
                 </div>
-                <ul class="history-list" 
-                    ${iiifContext.manifest ? `iiif-manifest="${iiifContext.manifest}"` : ''}
-                    ${iiifContext.canvas ? `iiif-canvas="${iiifContext.canvas}"` : ''}>
+                ${this.renderLinkProblems()}
+                ${this.loadState.status === 'error' && this.renderLoadError()}
+                ${this.renderTimeline()}
+                ${this.renderComparison(iiifContext)}
+                ${this.renderContributorFilter()}
+                ${this.renderOverlay(iiifContext)}
+                <ul class="history-list ${this.viewMode === 'graph' ? 'version-tree' : ''}" aria-label="${this.t('versionsLabel')}"
+                    ${iiifContext.manifest && html`iiif-manifest="${iiifContext.manifest}"`}
+                    ${iiifContext.canvas && html`iiif-canvas="${iiifContext.canvas}"`}>
                     ${historyItems}
                 </ul>
+                ${this.renderPager()}
             `
         }
 
-        this.shadowRoot.innerHTML = `
-            <style>${styles}</style>
-            <div class="history-container">
-                ${content}
-            </div>
-        `
+        const { locale } = this
+        this.container.lang = locale
+        this.container.dir = isRightToLeft(locale) ? 'rtl' : 'ltr'
+        patchChildren(this.container, String(content), { kept: key => this.cardCache.get(key)?.markup })
+        if (this.cardObserver) {
+            this.cardObserver.disconnect()
+            this.container.querySelectorAll('.history-item.placeholder').forEach(card => this.cardObserver.observe(card))
+        }
     }
 }
 